@@ -1,21 +1,57 @@
 import { SleeperAPI } from '../api/sleeper.js';
 import { EspnAPI } from '../api/espn.js';
+import { HttpClient } from '../api/httpClient.js';
+import { FixtureStore } from '../api/fixtures.js';
+import { getActiveSeason, getDefaultSeason } from '../data/byeWeeks.js';
+import { getStateForDate, getRegularSeasonWeeks } from '../data/nflCalendar.js';
 
 /**
  * Platform adapter to normalize data from different fantasy platforms
+ *
+ * config.record / config.replay name a fixture directory: recording captures
+ * every raw platform response, replaying serves the whole run from those files
  */
 export class PlatformAdapter {
   constructor(platform = 'sleeper', config = {}) {
     this.platform = platform.toLowerCase();
     this.config = config;
 
+    if (config.record && config.replay) {
+      throw new Error('Cannot record and replay at the same time');
+    }
+
+    this.fixtures = null;
+    if (config.record) {
+      this.fixtures = new FixtureStore(config.record, 'record');
+    } else if (config.replay) {
+      this.fixtures = new FixtureStore(config.replay, 'replay');
+    }
+
+    // Shared transport; config.cache is an optional ApiCache
+    // Unused when replaying, and when recording so the fixtures capture live responses
+    const http = new HttpClient({
+      cache: config.replay || config.record ? null : config.cache,
+      fixtures: this.fixtures
+    });
+
     if (this.platform === 'sleeper') {
-      this.api = new SleeperAPI();
+      this.api = new SleeperAPI(http);
     } else if (this.platform === 'espn') {
-      this.api = new EspnAPI();
+      this.api = new EspnAPI(http);
     } else {
       throw new Error(`Unsupported platform: ${platform}`);
     }
+
+    // The NFL schedule comes from ESPN's public endpoint on every platform, weekly NFL stats from Sleeper's
+    this.scheduleApi = this.platform === 'espn' ? this.api : new EspnAPI(http);
+    this.statsApi = this.platform === 'sleeper' ? this.api : new SleeperAPI(http);
+  }
+
+  /**
+   * Season of the analyzed league (ESPN leagues are requested per season)
+   */
+  getSeason() {
+    return parseInt(this.config.season) || getActiveSeason();
   }
 
   /**
@@ -37,7 +73,7 @@ export class PlatformAdapter {
   /**
    * Get user's leagues
    */
-  async getUserLeagues(userId, season = '2025') {
+  async getUserLeagues(userId, season = String(getActiveSeason())) {
     if (this.platform === 'sleeper') {
       return await this.api.getUserLeagues(userId, season);
     } else if (this.platform === 'espn') {
@@ -66,7 +102,7 @@ export class PlatformAdapter {
     } else if (this.platform === 'espn') {
       const leagueData = await this.api.getLeague(
         leagueId,
-        this.config.season || 2025,
+        this.getSeason(),
         this.config.cookies || {}
       );
       return this.api.parseLeagueData(leagueData);
@@ -82,7 +118,7 @@ export class PlatformAdapter {
     } else if (this.platform === 'espn') {
       const leagueData = await this.api.getLeague(
         leagueId,
-        this.config.season || 2025,
+        this.getSeason(),
         this.config.cookies || {}
       );
 
@@ -91,13 +127,16 @@ export class PlatformAdapter {
         return {
           roster_id: parsed.roster_id,
           owner_id: parsed.owner_id,
+          league_id: leagueId,
           players: [...parsed.roster.starters, ...parsed.roster.bench],
           starters: parsed.roster.starters,
+          starter_slots: parsed.roster.starterSlots, // ESPN lineup slot of each starter
           settings: {
             wins: parsed.wins,
             losses: parsed.losses,
             ties: parsed.ties,
-            fpts: parsed.pointsFor
+            fpts: parsed.pointsFor,
+            division: team.divisionId !== undefined ? team.divisionId + 1 : null // 1-based like Sleeper
           }
         };
       });
@@ -113,7 +152,7 @@ export class PlatformAdapter {
     } else if (this.platform === 'espn') {
       const leagueData = await this.api.getLeague(
         leagueId,
-        this.config.season || 2025,
+        this.getSeason(),
         this.config.cookies || {}
       );
 
@@ -142,14 +181,14 @@ export class PlatformAdapter {
       return await this.api.getAllPlayers();
     } else if (this.platform === 'espn') {
       // ESPN doesn't have a bulk player endpoint
-      // We'll build a player cache from rosters
+      // Build a player cache from rosters plus the free agent/waiver pool
       if (!this.playerCache) {
         this.playerCache = {};
 
         if (this.config.leagueId) {
           const leagueData = await this.api.getLeague(
             this.config.leagueId,
-            this.config.season || 2025,
+            this.getSeason(),
             this.config.cookies || {}
           );
 
@@ -157,19 +196,27 @@ export class PlatformAdapter {
             team.roster?.entries?.forEach(entry => {
               const player = this.api.parsePlayerData(entry);
               if (player.playerId) {
-                this.playerCache[player.playerId] = {
-                  player_id: player.playerId,
-                  full_name: player.name,
-                  position: player.position,
-                  team: player.team,
-                  injury_status: player.injuryStatus,
-                  status: player.status,
-                  active: true,
-                  fantasy_positions: [player.position]
-                };
+                this.playerCache[player.playerId] = this.toPlayerRecord(player);
               }
             });
           });
+
+          try {
+            const pool = await this.api.getPlayerPool(
+              this.config.leagueId,
+              this.getSeason(),
+              this.config.cookies || {}
+            );
+
+            pool.forEach(entry => {
+              const player = this.api.parsePlayerData(entry);
+              if (player.playerId && !this.playerCache[player.playerId]) {
+                this.playerCache[player.playerId] = this.toPlayerRecord(player);
+              }
+            });
+          } catch (error) {
+            // Pool unavailable (e.g. private league without cookies) - rostered players only
+          }
         }
       }
 
@@ -178,42 +225,213 @@ export class PlatformAdapter {
   }
 
   /**
-   * Get NFL state (current week)
+   * Convert a parsed ESPN player into the Sleeper player shape
+   */
+  toPlayerRecord(player) {
+    return {
+      player_id: player.playerId,
+      full_name: player.name,
+      position: player.position,
+      team: player.team,
+      injury_status: player.injuryStatus,
+      status: player.status,
+      active: true,
+      fantasy_positions: [player.position],
+      percent_owned: player.percentOwned,
+      on_waivers: player.onWaivers
+    };
+  }
+
+  /**
+   * Get weekly projections keyed by player ID
+   * Returns { [playerId]: { stats, points, position } } where points is already
+   * league-scored (ESPN) or null when only the stat line is known (Sleeper)
+   */
+  async getProjections(leagueId, week) {
+    const projections = {};
+
+    if (this.platform === 'sleeper') {
+      const league = await this.getLeague(leagueId);
+      const raw = await this.api.getProjections(league.season || this.getSeason(), week);
+
+      (raw || []).forEach(p => {
+        if (p.player_id && p.stats) {
+          projections[p.player_id] = { stats: p.stats, points: null, position: p.player?.position || null };
+        }
+      });
+    } else if (this.platform === 'espn') {
+      // ESPN embeds projections in mRoster and the player pool
+      const leagueData = await this.api.getLeague(
+        leagueId,
+        this.getSeason(),
+        this.config.cookies || {}
+      );
+
+      const entries = [];
+      leagueData.teams?.forEach(team => entries.push(...(team.roster?.entries || [])));
+
+      try {
+        entries.push(...await this.api.getPlayerPool(
+          leagueId,
+          this.getSeason(),
+          this.config.cookies || {}
+        ));
+      } catch (error) {
+        // Rostered players only
+      }
+
+      entries.forEach(entry => {
+        const player = this.api.parsePlayerData(entry);
+        const projection = this.api.parseProjection(entry, week);
+        if (player.playerId && projection && !projections[player.playerId]) {
+          projections[player.playerId] = { ...projection, position: player.position };
+        }
+      });
+    }
+
+    return projections;
+  }
+
+  /**
+   * Get a week's actual NFL stat lines: [{ playerId, team, opponent, position, stats }]
+   * Sleeper's public stats feed serves every platform (stat lines use Sleeper keys)
+   */
+  async getWeeklyStats(season, week) {
+    const completed = await this.isWeekCompleted(week);
+    const raw = await this.statsApi.getWeeklyStats(season, week, completed);
+
+    return (raw || [])
+      .filter(entry => entry.player_id && entry.stats)
+      .map(entry => ({
+        playerId: entry.player_id,
+        team: entry.team || null,
+        opponent: entry.opponent || null,
+        position: entry.player?.position || null,
+        stats: entry.stats
+      }));
+  }
+
+  /**
+   * Get the NFL schedule for a season: { byes: { team: week }, games: { team: { week: game } } }
+   */
+  async getProSchedule(season) {
+    const completed = parseInt(season) < getDefaultSeason();
+    const proTeams = await this.scheduleApi.getProTeamSchedules(season, completed);
+    if (proTeams.length === 0) {
+      throw new Error(`No NFL schedule available for ${season}`);
+    }
+    return this.scheduleApi.parseProTeamSchedules(proTeams);
+  }
+
+  /**
+   * Get NFL state ({ week, season, season_type }) for the analyzed season
+   * ESPN reads the league's current matchup period; past Sleeper seasons report their final week
    */
   async getNFLState() {
+    if (this.platform === 'espn') {
+      const season = this.getSeason();
+      const load = async () => {
+        const leagueData = this.config.leagueId ?
+          await this.api.getLeague(this.config.leagueId, season, this.config.cookies || {}).catch(() => null) :
+          null;
+        const week = leagueData?.status?.currentMatchupPeriod;
+        if (week) {
+          return {
+            week,
+            season: String(leagueData.seasonId || season),
+            season_type: leagueData.status.isActive === false ? 'post' : 'regular'
+          };
+        }
+        return getStateForDate(season);
+      };
+
+      // Without a league status the week comes from the clock, so freeze it with the fixtures
+      return this.fixtures ? await this.fixtures.through('espn/state_nfl', load) : await load();
+    }
+
+    const season = getActiveSeason();
+    if (season < getDefaultSeason()) {
+      return { week: getRegularSeasonWeeks(season), season: String(season), season_type: 'post' };
+    }
     return await this.api.getNFLState();
   }
 
+  /**
+   * Check whether a week's games are final (safe to cache permanently)
+   */
+  async isWeekCompleted(week) {
+    try {
+      const state = await this.getNFLState();
+      if (parseInt(state.season) < getDefaultSeason()) {
+        return true;
+      }
+      return week < state.week;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Get matchups for a specific week
+   * options.live fetches in-game scores fresh instead of from the cache;
+   * options.completed marks the week final (e.g. a past season's league) without checking the NFL state
    */
-  async getMatchups(leagueId, week) {
+  async getMatchups(leagueId, week, options = {}) {
+    const completed = options.completed ?? await this.isWeekCompleted(week);
+    const live = options.live || false;
+
     if (this.platform === 'sleeper') {
-      return await this.api.getMatchups(leagueId, week);
+      return await this.api.getMatchups(leagueId, week, completed, live);
     } else if (this.platform === 'espn') {
       const espnMatchups = await this.api.getMatchups(
         leagueId,
-        this.config.season || 2025,
+        this.getSeason(),
         week,
-        this.config.cookies || {}
+        this.config.cookies || {},
+        completed,
+        live
       );
 
       // Convert ESPN matchups to Sleeper format
-      return espnMatchups.map(m => ({
-        roster_id: m.home?.teamId,
-        matchup_id: m.id,
-        points: m.home?.totalPoints || 0,
-        players: m.home?.rosterForCurrentScoringPeriod?.entries?.map(e => e.playerId.toString()) || []
-      })).concat(
-        espnMatchups
-          .filter(m => m.away)
-          .map(m => ({
-            roster_id: m.away.teamId,
-            matchup_id: m.id,
-            points: m.away.totalPoints || 0,
-            players: m.away.rosterForCurrentScoringPeriod?.entries?.map(e => e.playerId.toString()) || []
-          }))
-      );
+      const toSide = (m, side) => {
+        const lineup = this.api.parseRoster(side.rosterForCurrentScoringPeriod);
+        return {
+          roster_id: side.teamId,
+          matchup_id: m.id,
+          points: side.totalPoints || 0,
+          players: [...lineup.starters, ...lineup.bench],
+          starters: lineup.starters,
+          starter_slots: lineup.starterSlots,
+          players_points: this.api.parsePlayerPoints(side.rosterForCurrentScoringPeriod)
+        };
+      };
+
+      return espnMatchups
+        .filter(m => m.home)
+        .map(m => toSide(m, m.home))
+        .concat(espnMatchups.filter(m => m.away).map(m => toSide(m, m.away)));
+    }
+  }
+
+  /**
+   * Get a week's roster transactions (Sleeper only - ESPN's activity feed isn't supported, so it's empty)
+   */
+  async getTransactions(leagueId, week) {
+    if (this.platform === 'sleeper') {
+      return await this.api.getTransactions(leagueId, week, await this.isWeekCompleted(week));
+    } else if (this.platform === 'espn') {
+      return [];
+    }
+  }
+
+  /**
+   * Get a league's playoff bracket (Sleeper only - ESPN brackets aren't exposed, so it's empty)
+   */
+  async getWinnersBracket(leagueId, options = {}) {
+    if (this.platform === 'sleeper') {
+      return await this.api.getWinnersBracket(leagueId, options.completed || false);
+    } else if (this.platform === 'espn') {
+      return [];
     }
   }
 
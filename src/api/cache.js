@@ -0,0 +1,187 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Default on-disk cache location (override with FANTASY_ANALYZER_CACHE_DIR)
+ */
+export const DEFAULT_CACHE_DIR = process.env.FANTASY_ANALYZER_CACHE_DIR ||
+  path.join(os.homedir(), '.fantasy-analyzer', 'cache');
+
+/**
+ * Time-to-live per endpoint type, in milliseconds
+ */
+export const CACHE_TTL = {
+  PLAYERS: DAY,            // Full player dump changes slowly
+  USER: DAY,
+  NFL_STATE: HOUR,
+  TRENDING: HOUR,
+  PROJECTIONS: HOUR,       // Projections move with injury news during the week
+  SCHEDULE: DAY,           // Kickoff times only move with flex scheduling
+  LEAGUE: 10 * MINUTE,     // League settings, users
+  ROSTERS: 5 * MINUTE,     // Rosters change with every waiver claim
+  MATCHUPS_LIVE: 5 * MINUTE,
+  LIVE_SCORING: 0,         // Watch mode needs every score change
+  FOREVER: Infinity        // Completed weeks never change
+};
+
+/**
+ * File-backed JSON cache for API responses
+ * Entries live in memory for the rest of the run once read or written
+ */
+export class ApiCache {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_CACHE_DIR;
+    this.refresh = options.refresh || false;
+    this.startedAt = Date.now();
+    this.memory = new Map();
+  }
+
+  /**
+   * Map a cache key like "sleeper/players_nfl" to a file path
+   */
+  filePath(key) {
+    const segments = key.split('/').map(segment => segment.replace(/[^a-zA-Z0-9._-]/g, '_'));
+    return path.join(this.dir, ...segments) + '.json';
+  }
+
+  /**
+   * Check whether an entry can still be served
+   * With refresh enabled, only entries written during this run count
+   */
+  isFresh(entry) {
+    if (!entry) return false;
+    if (this.refresh && entry.storedAt < this.startedAt) return false;
+    if (entry.expiresAt === null) return true;
+    return Date.now() < entry.expiresAt;
+  }
+
+  /**
+   * Read a raw entry from memory or disk (fresh or not)
+   */
+  async read(key) {
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+
+    try {
+      const contents = await fs.readFile(this.filePath(key), 'utf8');
+      const entry = JSON.parse(contents);
+      this.memory.set(key, entry);
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get cached data if fresh, otherwise undefined
+   */
+  async get(key) {
+    const entry = await this.read(key);
+    return this.isFresh(entry) ? entry.data : undefined;
+  }
+
+  /**
+   * Store data under a key with the given TTL
+   */
+  async set(key, data, ttl) {
+    const storedAt = Date.now();
+    const entry = {
+      key,
+      storedAt,
+      expiresAt: ttl === Infinity ? null : storedAt + ttl,
+      data
+    };
+
+    this.memory.set(key, entry);
+
+    try {
+      const file = this.filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(entry));
+    } catch (error) {
+      // A read-only or full disk shouldn't break the analysis
+    }
+  }
+
+  /**
+   * Serve from cache when fresh, otherwise call the loader and store its result
+   */
+  async fetch(key, ttl, loader) {
+    const cached = await this.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const data = await loader();
+    await this.set(key, data, ttl);
+    return data;
+  }
+
+  /**
+   * List all entries on disk with size and expiry info
+   */
+  async list() {
+    const entries = [];
+
+    const walk = async (dir) => {
+      let items;
+      try {
+        items = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const item of items) {
+        const fullPath = path.join(dir, item.name);
+        if (item.isDirectory()) {
+          await walk(fullPath);
+        } else if (item.name.endsWith('.json')) {
+          try {
+            const stats = await fs.stat(fullPath);
+            const entry = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+            entries.push({
+              key: entry.key,
+              size: stats.size,
+              storedAt: entry.storedAt,
+              expiresAt: entry.expiresAt,
+              fresh: entry.expiresAt === null || Date.now() < entry.expiresAt
+            });
+          } catch (error) {
+            // Skip unreadable or partially written files
+          }
+        }
+      }
+    };
+
+    await walk(this.dir);
+    return entries.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Remove cached entries, optionally only those under a key prefix
+   * Returns the number of entries removed
+   */
+  async clear(prefix = null) {
+    const entries = await this.list();
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (prefix && !entry.key.startsWith(prefix)) continue;
+      try {
+        await fs.unlink(this.filePath(entry.key));
+        this.memory.delete(entry.key);
+        removed++;
+      } catch (error) {
+        // Already gone
+      }
+    }
+
+    return removed;
+  }
+}
@@ -1,19 +1,51 @@
-import axios from 'axios';
+import { HttpClient } from './httpClient.js';
+import { CACHE_TTL } from './cache.js';
 
 const ESPN_BASE_URL = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl/seasons';
 
+// ESPN lineup slot IDs to position names
+const ESPN_LINEUP_SLOTS = {
+  0: 'QB',
+  2: 'RB',
+  3: 'WRRB_FLEX',
+  4: 'WR',
+  5: 'REC_FLEX',
+  6: 'TE',
+  7: 'SUPER_FLEX', // OP
+  16: 'DEF',
+  17: 'K',
+  23: 'FLEX',
+  20: 'BN',  // Bench, named as on Sleeper
+  21: 'IR'
+};
+
+/**
+ * Add private league cookies to a request config
+ * Returns true when it did: those responses skip the disk cache, which is keyed by league
+ * alone and would hand a private league to anyone running without the cookies
+ */
+function addCookies(config, cookies) {
+  if (!cookies.espn_s2 || !cookies.SWID) return false;
+  config.headers = {
+    ...config.headers,
+    'Cookie': `espn_s2=${cookies.espn_s2}; SWID=${cookies.SWID}`
+  };
+  return true;
+}
+
 /**
  * ESPN Fantasy Football API Client
  */
 export class EspnAPI {
-  constructor() {
+  constructor(http = new HttpClient()) {
     this.baseURL = ESPN_BASE_URL;
+    this.http = http;
   }
 
   /**
    * Get league data
    */
-  async getLeague(leagueId, seasonId = 2025, cookies = {}) {
+  async getLeague(leagueId, seasonId, cookies = {}) {
     const config = {
       params: {
         view: ['mSettings', 'mTeam', 'mRoster', 'mMatchup', 'mStandings']
@@ -21,24 +53,21 @@ export class EspnAPI {
     };
 
     // Add cookies for private leagues
-    if (cookies.espn_s2 && cookies.SWID) {
-      config.headers = {
-        'Cookie': `espn_s2=${cookies.espn_s2}; SWID=${cookies.SWID}`
-      };
-    }
+    const ttl = addCookies(config, cookies) ? 0 : CACHE_TTL.ROSTERS;
 
-    const response = await axios.get(
+    return await this.http.get(
+      `espn/league_${leagueId}_${seasonId}/league`,
       `${this.baseURL}/${seasonId}/segments/0/leagues/${leagueId}`,
-      config
+      config,
+      ttl
     );
-
-    return response.data;
   }
 
   /**
    * Get league with specific scoring period (week)
+   * Completed weeks are cached permanently; live skips the cache for in-game scores
    */
-  async getLeagueForWeek(leagueId, seasonId, week, cookies = {}) {
+  async getLeagueForWeek(leagueId, seasonId, week, cookies = {}, completed = false, live = false) {
     const config = {
       params: {
         view: ['mMatchup', 'mMatchupScore'],
@@ -46,18 +75,14 @@ export class EspnAPI {
       }
     };
 
-    if (cookies.espn_s2 && cookies.SWID) {
-      config.headers = {
-        'Cookie': `espn_s2=${cookies.espn_s2}; SWID=${cookies.SWID}`
-      };
-    }
+    const ttl = completed ? CACHE_TTL.FOREVER : live ? CACHE_TTL.LIVE_SCORING : CACHE_TTL.MATCHUPS_LIVE;
 
-    const response = await axios.get(
+    return await this.http.get(
+      `espn/league_${leagueId}_${seasonId}/week_${week}`,
       `${this.baseURL}/${seasonId}/segments/0/leagues/${leagueId}`,
-      config
+      config,
+      addCookies(config, cookies) ? 0 : ttl
     );
-
-    return response.data;
   }
 
   /**
@@ -65,54 +90,97 @@ export class EspnAPI {
    */
   async getAllPlayers() {
     // ESPN player data is embedded in league responses
-    // For now, return empty - we'll get players from rosters
+    // Rostered players come from rosters, unrostered ones from getPlayerPool()
     return {};
   }
 
   /**
-   * Get current NFL week (approximate from current date)
-   * Shows the current NFL week based on which games are upcoming
-   * On Tuesday or later, advances to next week for lineup planning
+   * Get the league's free agent and waiver pool, most-owned first
+   * Uses the kona_player_info view filtered through the x-fantasy-filter header
    */
-  async getNFLState() {
-    // ESPN doesn't have this endpoint, calculate based on season start
-    const now = new Date();
-    const seasonStart = new Date('2025-09-04'); // 2025 NFL season starts Thursday, Sept 4
-    const season = '2025';
-
-    if (now < seasonStart) {
-      return { week: 1, season, season_type: 'pre' };
-    }
+  async getPlayerPool(leagueId, seasonId, cookies = {}, limit = 300) {
+    const filter = {
+      players: {
+        filterStatus: { value: ['FREEAGENT', 'WAIVERS'] },
+        filterSlotIds: { value: [0, 2, 4, 6, 16, 17] }, // QB, RB, WR, TE, D/ST, K
+        limit,
+        sortPercOwned: { sortPriority: 1, sortAsc: false }
+      }
+    };
 
-    // Calculate week - each Thursday starts a new NFL week
-    // But we want Tuesday to trigger next week's lineup planning
-    const daysSinceStart = Math.floor((now - seasonStart) / (24 * 60 * 60 * 1000));
-    const dayOfWeek = now.getDay(); // 0=Sun, 1=Mon, 2=Tue, etc.
-
-    // Adjust to treat Tuesday as start of planning week
-    // If Sun/Mon, we're looking at current week
-    // If Tue-Sat, we're planning for next week
-    let adjustedDays = daysSinceStart;
-    if (dayOfWeek >= 2) {
-      // It's Tuesday or later - plan for next week
-      // Add days to push into next week calculation
-      adjustedDays += 7;
-    }
+    const config = {
+      params: {
+        view: 'kona_player_info'
+      },
+      headers: {
+        'x-fantasy-filter': JSON.stringify(filter)
+      }
+    };
 
-    const currentWeek = Math.min(Math.floor(adjustedDays / 7) + 1, 18);
+    const ttl = addCookies(config, cookies) ? 0 : CACHE_TTL.ROSTERS;
 
-    return {
-      week: currentWeek,
-      season,
-      season_type: 'regular'
-    };
+    const data = await this.http.get(
+      `espn/league_${leagueId}_${seasonId}/player_pool_${limit}`,
+      `${this.baseURL}/${seasonId}/segments/0/leagues/${leagueId}`,
+      config,
+      ttl
+    );
+
+    return data.players || [];
+  }
+
+  /**
+   * Get every NFL team's schedule and bye week for a season (public, no league needed)
+   * Past seasons are cached permanently
+   */
+  async getProTeamSchedules(seasonId, completed = false) {
+    const data = await this.http.get(
+      `espn/pro_schedule_${seasonId}`,
+      `${this.baseURL}/${seasonId}`,
+      { params: { view: 'proTeamSchedules_wl' } },
+      completed ? CACHE_TTL.FOREVER : CACHE_TTL.SCHEDULE
+    );
+
+    return data.settings?.proTeams || [];
+  }
+
+  /**
+   * Parse pro team schedules into { byes: { team: week }, games: { team: { week: game } } }
+   */
+  parseProTeamSchedules(proTeams) {
+    const byes = {};
+    const games = {};
+
+    proTeams.forEach(proTeam => {
+      const team = this.getTeamAbbr(proTeam.id);
+      if (team === 'FA') return;
+
+      if (proTeam.byeWeek) {
+        byes[team] = proTeam.byeWeek;
+      }
+
+      games[team] = {};
+      for (const [week, weekGames] of Object.entries(proTeam.proGamesByScoringPeriod || {})) {
+        const game = weekGames[0];
+        if (!game) continue;
+
+        const home = game.homeProTeamId === proTeam.id;
+        games[team][week] = {
+          opponent: this.getTeamAbbr(home ? game.awayProTeamId : game.homeProTeamId),
+          home,
+          kickoff: game.date
+        };
+      }
+    });
+
+    return { byes, games };
   }
 
   /**
    * Get matchups for a specific week
    */
-  async getMatchups(leagueId, seasonId, week, cookies = {}) {
-    const leagueData = await this.getLeagueForWeek(leagueId, seasonId, week, cookies);
+  async getMatchups(leagueId, seasonId, week, cookies = {}, completed = false, live = false) {
+    const leagueData = await this.getLeagueForWeek(leagueId, seasonId, week, cookies, completed, live);
     return leagueData.schedule?.filter(m => m.matchupPeriodId === week) || [];
   }
 
@@ -128,13 +196,32 @@ export class EspnAPI {
         playoff_teams: espnData.settings?.scheduleSettings?.playoffTeamCount || 6,
         playoff_week_start: espnData.settings?.scheduleSettings?.playoffMatchupPeriodLength ?
           (espnData.settings.scheduleSettings.regularSeasonMatchupPeriodCount + 1) : 15,
+        playoff_round_type: this.getPlayoffRoundType(espnData.settings?.scheduleSettings),
+        playoff_seed_rule: espnData.settings?.scheduleSettings?.playoffSeedingRule || null,
+        divisions: espnData.settings?.scheduleSettings?.divisions?.length || 0,
         num_teams: espnData.settings?.size || espnData.teams?.length || 0
       },
+      // Division names keyed like Sleeper's league metadata (division_1, division_2, ...)
+      metadata: Object.fromEntries((espnData.settings?.scheduleSettings?.divisions || [])
+        .map(division => [`division_${division.id + 1}`, division.name])),
       scoring_settings: espnData.settings?.scoringSettings || {},
       roster_positions: this.getRosterPositions(espnData)
     };
   }
 
+  /**
+   * Map ESPN playoff matchup lengths onto Sleeper's playoff_round_type
+   * (0 = one week per round, 1 = two-week championship, 2 = two weeks per round)
+   */
+  getPlayoffRoundType(scheduleSettings = {}) {
+    const byRound = Object.values(scheduleSettings.playoffMatchupPeriodLengthByRound || {});
+    const lengths = byRound.length > 0 ? byRound : [scheduleSettings.playoffMatchupPeriodLength || 1];
+
+    if (lengths.every(len => len >= 2)) return 2;
+    if (lengths[lengths.length - 1] >= 2) return 1;
+    return 0;
+  }
+
   /**
    * Get roster position slots
    */
@@ -142,20 +229,8 @@ export class EspnAPI {
     const rosterSettings = espnData.settings?.rosterSettings?.lineupSlotCounts || {};
     const positions = [];
 
-    // ESPN slot IDs to position names
-    const slotMap = {
-      0: 'QB',
-      2: 'RB',
-      4: 'WR',
-      6: 'TE',
-      16: 'DEF',
-      17: 'K',
-      23: 'FLEX',
-      20: 'BENCH'
-    };
-
     for (const [slotId, count] of Object.entries(rosterSettings)) {
-      const position = slotMap[slotId] || 'UNKNOWN';
+      const position = ESPN_LINEUP_SLOTS[slotId] || 'UNKNOWN';
       for (let i = 0; i < count; i++) {
         positions.push(position);
       }
@@ -188,9 +263,10 @@ export class EspnAPI {
    * Parse roster entries
    */
   parseRoster(rosterData) {
-    if (!rosterData?.entries) return { starters: [], bench: [] };
+    if (!rosterData?.entries) return { starters: [], starterSlots: [], bench: [] };
 
     const starters = [];
+    const starterSlots = [];
     const bench = [];
 
     rosterData.entries.forEach(entry => {
@@ -202,17 +278,28 @@ export class EspnAPI {
         bench.push(playerId);
       } else {
         starters.push(playerId);
+        starterSlots.push(ESPN_LINEUP_SLOTS[lineupSlotId] || 'UNKNOWN');
       }
     });
 
-    return { starters, bench };
+    return { starters, starterSlots, bench };
+  }
+
+  /**
+   * Points each player in a matchup lineup has scored this week ({ playerId: points })
+   */
+  parsePlayerPoints(rosterData) {
+    return Object.fromEntries((rosterData?.entries || []).map(entry => [
+      entry.playerId.toString(),
+      entry.playerPoolEntry?.appliedStatTotal ?? 0
+    ]));
   }
 
   /**
-   * Parse player data from roster entry
+   * Parse player data from a roster entry or a player pool entry
    */
   parsePlayerData(entry) {
-    const player = entry.playerPoolEntry?.player || {};
+    const player = entry.playerPoolEntry?.player || entry.player || {};
 
     // ESPN position map
     const positionMap = {
@@ -239,7 +326,29 @@ export class EspnAPI {
       position: positionMap[player.defaultPositionId] || 'UNKNOWN',
       team: player.proTeamId ? this.getTeamAbbr(player.proTeamId) : 'FA',
       injuryStatus: injuryMap[player.injuryStatus] || null,
-      status: player.injuryStatus === 'ACTIVE' ? 'Active' : 'Injured'
+      status: player.injuryStatus === 'ACTIVE' ? 'Active' : 'Injured',
+      percentOwned: player.ownership?.percentOwned ?? null,
+      onWaivers: entry.status === 'WAIVERS'
+    };
+  }
+
+  /**
+   * Extract a player's projected stat line for a week from roster/pool player data
+   * statSourceId 1 = projection, statSplitTypeId 1 = single scoring period
+   */
+  parseProjection(entry, week) {
+    const player = entry.playerPoolEntry?.player || entry.player || {};
+    const projection = player.stats?.find(s =>
+      s.statSourceId === 1 &&
+      s.statSplitTypeId === 1 &&
+      s.scoringPeriodId === week
+    );
+
+    if (!projection) return null;
+
+    return {
+      stats: projection.stats || {},
+      points: projection.appliedTotal ?? null
     };
   }
 
@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Records raw platform responses to fixture files, or replays them with no network
+ * Fixtures are keyed the same way as the response cache ("sleeper/league_123/rosters")
+ */
+export class FixtureStore {
+  constructor(dir, mode) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unsupported fixture mode: ${mode}`);
+    }
+
+    this.dir = dir;
+    this.mode = mode;
+    this.manifest = null;
+    this.manifestLoad = null; // In-flight manifest read, shared by concurrent callers
+    this.manifestSave = Promise.resolve(); // Manifest writes, one after another
+  }
+
+  /**
+   * Map a fixture key to a file path inside the fixture directory
+   */
+  filePath(key) {
+    const segments = key.split('/').map(segment => segment.replace(/[^a-zA-Z0-9._-]/g, '_'));
+    return path.join(this.dir, ...segments) + '.json';
+  }
+
+  /**
+   * Read a recorded response
+   */
+  async read(key) {
+    try {
+      const contents = await fs.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`No recorded response for '${key}' in ${this.dir}`);
+    }
+  }
+
+  /**
+   * Write a response and note it in the manifest
+   */
+  async write(key, data) {
+    const file = this.filePath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+
+    const manifest = await this.readManifest();
+    if (!manifest.keys.includes(key)) {
+      manifest.keys.push(key);
+      await this.writeManifest(manifest);
+    }
+  }
+
+  /**
+   * Replay a recorded response, or load it live and record it
+   */
+  async through(key, loader) {
+    if (this.mode === 'replay') {
+      return await this.read(key);
+    }
+
+    const data = await loader();
+    await this.write(key, data);
+    return data;
+  }
+
+  /**
+   * Load the manifest describing the recorded session
+   */
+  async readManifest() {
+    if (this.manifest) return this.manifest;
+
+    // Parallel fetches while recording must all get the same manifest object
+    if (!this.manifestLoad) {
+      this.manifestLoad = this.loadManifest().then(manifest => {
+        this.manifest = manifest;
+        return manifest;
+      });
+      this.manifestLoad.catch(() => {
+        this.manifestLoad = null;
+      });
+    }
+    return await this.manifestLoad;
+  }
+
+  /**
+   * Read the manifest file, or start a new one when recording
+   */
+  async loadManifest() {
+    try {
+      const contents = await fs.readFile(path.join(this.dir, MANIFEST_FILE), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (this.mode === 'replay') {
+        throw new Error(`No fixture manifest found in ${this.dir}`);
+      }
+      return { recordedAt: new Date().toISOString(), session: {}, keys: [] };
+    }
+  }
+
+  /**
+   * Persist the manifest
+   * Writes are queued so concurrent saves never interleave; each one writes the latest state
+   */
+  async writeManifest(manifest) {
+    this.manifest = manifest;
+    const save = this.manifestSave.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(path.join(this.dir, MANIFEST_FILE), JSON.stringify(this.manifest, null, 2));
+    });
+    this.manifestSave = save.catch(() => {});
+    await save;
+  }
+
+  /**
+   * Store the CLI session details (platform, league, user) so a replay can reuse them
+   */
+  async recordSession(session) {
+    const manifest = await this.readManifest();
+    manifest.session = { ...manifest.session, ...session };
+    await this.writeManifest(manifest);
+  }
+}
@@ -0,0 +1,41 @@
+import axios from 'axios';
+
+/**
+ * Shared HTTP transport for the platform API clients
+ * Routes GET requests through the response cache when one is configured,
+ * and through the fixture store when recording or replaying
+ */
+export class HttpClient {
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+    this.fixtures = options.fixtures || null;
+  }
+
+  /**
+   * GET a JSON resource
+   * key identifies the response in the cache, ttl is in milliseconds (0 = never cache)
+   */
+  async get(key, url, config = {}, ttl = 0) {
+    if (this.fixtures) {
+      return await this.fixtures.through(key, () => this.fetch(key, url, config, ttl));
+    }
+
+    return await this.fetch(key, url, config, ttl);
+  }
+
+  /**
+   * Fetch from the cache or the network
+   */
+  async fetch(key, url, config, ttl) {
+    const load = async () => {
+      const response = await axios.get(url, config);
+      return response.data;
+    };
+
+    if (!this.cache || !ttl) {
+      return await load();
+    }
+
+    return await this.cache.fetch(key, ttl, load);
+  }
+}
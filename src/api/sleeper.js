@@ -1,84 +1,189 @@
-import axios from 'axios';
+import { HttpClient } from './httpClient.js';
+import { CACHE_TTL } from './cache.js';
 
 const SLEEPER_BASE_URL = 'https://api.sleeper.app/v1';
+const SLEEPER_PROJECTIONS_URL = 'https://api.sleeper.app/projections/nfl';
+const SLEEPER_STATS_URL = 'https://api.sleeper.app/stats/nfl';
 
 /**
  * Sleeper API Client
  */
 export class SleeperAPI {
-  constructor() {
+  constructor(http = new HttpClient()) {
     this.baseURL = SLEEPER_BASE_URL;
+    this.http = http;
   }
 
   /**
    * Get user by username
    */
   async getUser(username) {
-    const response = await axios.get(`${this.baseURL}/user/${username}`);
-    return response.data;
+    return await this.http.get(
+      `sleeper/user_${username}`,
+      `${this.baseURL}/user/${username}`,
+      {},
+      CACHE_TTL.USER
+    );
   }
 
   /**
    * Get all leagues for a user in a specific season
    */
   async getUserLeagues(userId, season = '2024') {
-    const response = await axios.get(`${this.baseURL}/user/${userId}/leagues/nfl/${season}`);
-    return response.data;
+    return await this.http.get(
+      `sleeper/user_${userId}_leagues_${season}`,
+      `${this.baseURL}/user/${userId}/leagues/nfl/${season}`,
+      {},
+      CACHE_TTL.LEAGUE
+    );
   }
 
   /**
    * Get specific league details
    */
   async getLeague(leagueId) {
-    const response = await axios.get(`${this.baseURL}/league/${leagueId}`);
-    return response.data;
+    return await this.http.get(
+      `sleeper/league_${leagueId}/league`,
+      `${this.baseURL}/league/${leagueId}`,
+      {},
+      CACHE_TTL.LEAGUE
+    );
   }
 
   /**
    * Get all rosters in a league
    */
   async getLeagueRosters(leagueId) {
-    const response = await axios.get(`${this.baseURL}/league/${leagueId}/rosters`);
-    return response.data;
+    return await this.http.get(
+      `sleeper/league_${leagueId}/rosters`,
+      `${this.baseURL}/league/${leagueId}/rosters`,
+      {},
+      CACHE_TTL.ROSTERS
+    );
   }
 
   /**
    * Get all users in a league
    */
   async getLeagueUsers(leagueId) {
-    const response = await axios.get(`${this.baseURL}/league/${leagueId}/users`);
-    return response.data;
+    return await this.http.get(
+      `sleeper/league_${leagueId}/users`,
+      `${this.baseURL}/league/${leagueId}/users`,
+      {},
+      CACHE_TTL.LEAGUE
+    );
   }
 
   /**
    * Get all NFL players (cached data)
    */
   async getAllPlayers() {
-    const response = await axios.get(`${this.baseURL}/players/nfl`);
-    return response.data;
+    return await this.http.get(
+      'sleeper/players_nfl',
+      `${this.baseURL}/players/nfl`,
+      {},
+      CACHE_TTL.PLAYERS
+    );
   }
 
   /**
    * Get current NFL state (week, season)
    */
   async getNFLState() {
-    const response = await axios.get(`${this.baseURL}/state/nfl`);
-    return response.data;
+    return await this.http.get(
+      'sleeper/state_nfl',
+      `${this.baseURL}/state/nfl`,
+      {},
+      CACHE_TTL.NFL_STATE
+    );
   }
 
   /**
    * Get trending players
    */
   async getTrendingPlayers(type = 'add', hours = 24) {
-    const response = await axios.get(`${this.baseURL}/players/nfl/trending/${type}?lookback_hours=${hours}`);
-    return response.data;
+    return await this.http.get(
+      `sleeper/trending_${type}_${hours}`,
+      `${this.baseURL}/players/nfl/trending/${type}?lookback_hours=${hours}`,
+      {},
+      CACHE_TTL.TRENDING
+    );
+  }
+
+  /**
+   * Get weekly stat projections for all fantasy-relevant players
+   * Returns [{ player_id, stats: { pass_yd, rec, ... } }]
+   */
+  async getProjections(season, week) {
+    return await this.http.get(
+      `sleeper/projections_${season}_${week}`,
+      `${SLEEPER_PROJECTIONS_URL}/${season}/${week}`,
+      {
+        params: {
+          season_type: 'regular',
+          position: ['QB', 'RB', 'WR', 'TE', 'K', 'DEF']
+        }
+      },
+      CACHE_TTL.PROJECTIONS
+    );
+  }
+
+  /**
+   * Get a week's actual NFL stat lines for all fantasy-relevant players
+   * Returns [{ player_id, team, opponent, stats: { pass_yd, rec, ... }, player: { position } }]
+   * Completed weeks are cached permanently
+   */
+  async getWeeklyStats(season, week, completed = false) {
+    return await this.http.get(
+      `sleeper/stats_${season}_${week}`,
+      `${SLEEPER_STATS_URL}/${season}/${week}`,
+      {
+        params: {
+          season_type: 'regular',
+          position: ['QB', 'RB', 'WR', 'TE', 'K', 'DEF']
+        }
+      },
+      completed ? CACHE_TTL.FOREVER : CACHE_TTL.PROJECTIONS
+    );
   }
 
   /**
    * Get matchups for a specific week
+   * Completed weeks are cached permanently; live skips the cache for in-game scores
+   */
+  async getMatchups(leagueId, week, completed = false, live = false) {
+    return await this.http.get(
+      `sleeper/league_${leagueId}/matchups_${week}`,
+      `${this.baseURL}/league/${leagueId}/matchups/${week}`,
+      {},
+      completed ? CACHE_TTL.FOREVER : live ? CACHE_TTL.LIVE_SCORING : CACHE_TTL.MATCHUPS_LIVE
+    );
+  }
+
+  /**
+   * Get a week's transactions: [{ type, status, adds: { playerId: rosterId }, drops, settings: { waiver_bid } }]
+   * type is waiver, free_agent or trade; completed weeks are cached permanently
+   */
+  async getTransactions(leagueId, week, completed = false) {
+    return await this.http.get(
+      `sleeper/league_${leagueId}/transactions_${week}`,
+      `${this.baseURL}/league/${leagueId}/transactions/${week}`,
+      {},
+      completed ? CACHE_TTL.FOREVER : CACHE_TTL.ROSTERS
+    );
+  }
+
+  /**
+   * Get the playoff (winners) bracket: [{ r, m, t1, t2, w, l, p }]
+   * r = round, w/l = winning/losing roster IDs, p = the place the game decides (1 = championship)
+   * Completed seasons are cached permanently
    */
-  async getMatchups(leagueId, week) {
-    const response = await axios.get(`${this.baseURL}/league/${leagueId}/matchups/${week}`);
-    return response.data;
+  async getWinnersBracket(leagueId, completed = false) {
+    return await this.http.get(
+      `sleeper/league_${leagueId}/winners_bracket`,
+      `${this.baseURL}/league/${leagueId}/winners_bracket`,
+      {},
+      completed ? CACHE_TTL.FOREVER : CACHE_TTL.LEAGUE
+    );
   }
 }
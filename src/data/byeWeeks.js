@@ -1,3 +1,8 @@
+/**
+ * NFL bye weeks by season
+ * Built-in tables are a fallback; the season calendar registers byes from the live NFL schedule
+ */
+
 /**
  * 2025 NFL Bye Week Schedule
  * Maps team abbreviations to their bye week number
@@ -57,18 +62,64 @@ export const BYE_WEEKS_2025 = {
   'SF': 14
 };
 
+/**
+ * Bye weeks keyed by season
+ */
+export const BYE_WEEKS = {
+  2025: BYE_WEEKS_2025
+};
+
+/**
+ * Default season for a date - January/February belong to the previous season's playoffs
+ */
+export function getDefaultSeason(date = new Date()) {
+  return date.getMonth() < 2 ? date.getFullYear() - 1 : date.getFullYear();
+}
+
+let activeSeason = getDefaultSeason();
+
+/**
+ * Set the season that bye lookups default to (the analyzed league's season)
+ */
+export function setActiveSeason(season) {
+  activeSeason = parseInt(season);
+}
+
+/**
+ * Get the season that bye lookups default to
+ */
+export function getActiveSeason() {
+  return activeSeason;
+}
+
+/**
+ * Register (or replace) a season's bye weeks, e.g. from the NFL schedule
+ */
+export function registerByeWeeks(season, byes) {
+  BYE_WEEKS[parseInt(season)] = { ...byes };
+}
+
 /**
  * Check if a team is on bye for a given week
  */
-export function isOnBye(team, week) {
+export function isOnBye(team, week, season = activeSeason) {
   if (!team || !week) return false;
-  return BYE_WEEKS_2025[team] === week;
+  return BYE_WEEKS[season]?.[team] === week;
 }
 
 /**
  * Get bye week for a team
  */
-export function getByeWeek(team) {
+export function getByeWeek(team, season = activeSeason) {
   if (!team) return null;
-  return BYE_WEEKS_2025[team] || null;
+  return BYE_WEEKS[season]?.[team] || null;
+}
+
+/**
+ * Get the teams on bye in a week
+ */
+export function getTeamsOnBye(week, season = activeSeason) {
+  return Object.entries(BYE_WEEKS[season] || {})
+    .filter(([, byeWeek]) => byeWeek === week)
+    .map(([team]) => team);
 }
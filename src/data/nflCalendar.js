@@ -0,0 +1,165 @@
+/**
+ * NFL season calendar - week boundaries, bye weeks and the game schedule, keyed by season
+ * Schedules are registered from the platform at startup; without one, weeks are
+ * generated from the season opener (the Thursday after Labor Day)
+ */
+import { getActiveSeason, registerByeWeeks } from './byeWeeks.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const GAME_LENGTH = 4 * HOUR; // Kickoff to final whistle, generously
+const OPENER_KICKOFF_HOUR = 20 * HOUR; // Prime time, local clock
+
+const calendars = {}; // season -> { byes, games, weeks }
+
+/**
+ * Number of regular season weeks (18 since 2021)
+ */
+export function getRegularSeasonWeeks(season = getActiveSeason()) {
+  return parseInt(season) >= 2021 ? 18 : 17;
+}
+
+/**
+ * Season opener: the Thursday after Labor Day (first Monday in September)
+ */
+export function getSeasonStart(season = getActiveSeason()) {
+  const date = new Date(parseInt(season), 8, 1);
+  while (date.getDay() !== 1) {
+    date.setDate(date.getDate() + 1);
+  }
+  date.setDate(date.getDate() + 3);
+  return date;
+}
+
+/**
+ * Register a season's schedule
+ * games: { [team]: { [week]: { opponent, home, kickoff } } }, byes: { [team]: week }
+ */
+export function registerSchedule(season, { byes = {}, games = {} }) {
+  season = parseInt(season);
+  calendars[season] = { byes, games, weeks: buildWeeks(season, games) };
+  registerByeWeeks(season, byes);
+  return calendars[season];
+}
+
+/**
+ * Check whether a season has a registered schedule
+ */
+export function hasSchedule(season = getActiveSeason()) {
+  return Boolean(calendars[parseInt(season)]);
+}
+
+/**
+ * Week boundaries: { [week]: { start, firstKickoff, lastKickoff, end } } (ms timestamps)
+ * A week runs from the end of the previous week's last game to the end of its own
+ */
+export function getWeeks(season = getActiveSeason()) {
+  season = parseInt(season);
+  return calendars[season]?.weeks || buildWeeks(season, {});
+}
+
+/**
+ * Build week boundaries from game kickoffs, or from the opener when no games are known
+ */
+function buildWeeks(season, games) {
+  const kickoffs = {};
+  Object.values(games).forEach(teamGames => {
+    Object.entries(teamGames).forEach(([week, game]) => {
+      if (!game.kickoff) return;
+      (kickoffs[week] = kickoffs[week] || []).push(game.kickoff);
+    });
+  });
+
+  const opener = getSeasonStart(season).getTime();
+  const weeks = {};
+  let start = opener - 2 * DAY;
+
+  for (let week = 1; week <= getRegularSeasonWeeks(season); week++) {
+    const times = kickoffs[week];
+    // Without a schedule: Thursday night opener through Monday night
+    const firstKickoff = times ? Math.min(...times) : opener + (week - 1) * 7 * DAY + OPENER_KICKOFF_HOUR;
+    const lastKickoff = times ? Math.max(...times) : firstKickoff + 4 * DAY;
+
+    // The week rolls over once its last game (usually Monday night) is over
+    const end = lastKickoff + GAME_LENGTH;
+
+    weeks[week] = { start, firstKickoff, lastKickoff, end };
+    start = end;
+  }
+
+  return weeks;
+}
+
+/**
+ * NFL state for a date: { week, season, season_type }
+ * Once Monday night's game ends, the week advances so lineups are planned for the upcoming games
+ */
+export function getStateForDate(season = getActiveSeason(), date = new Date()) {
+  const weeks = getWeeks(season);
+  const lastWeek = getRegularSeasonWeeks(season);
+  const now = date.getTime();
+
+  if (now < weeks[1].firstKickoff - 2 * DAY) {
+    return { week: 1, season: String(season), season_type: 'pre' };
+  }
+
+  for (let week = 1; week <= lastWeek; week++) {
+    if (now < weeks[week].end) {
+      return { week, season: String(season), season_type: 'regular' };
+    }
+  }
+
+  return { week: lastWeek, season: String(season), season_type: 'post' };
+}
+
+/**
+ * A team's game in a week: { opponent, home, kickoff } (null on a bye or when unknown)
+ */
+export function getGame(team, week, season = getActiveSeason()) {
+  if (!team) return null;
+  return calendars[parseInt(season)]?.games[team]?.[week] || null;
+}
+
+/**
+ * A team's opponent in a week (null on a bye or when unknown)
+ */
+export function getOpponent(team, week, season = getActiveSeason()) {
+  return getGame(team, week, season)?.opponent || null;
+}
+
+/**
+ * Share of a team's game played at a time: 0 before kickoff, 1 once it's over
+ * (null on a bye or when the kickoff is unknown)
+ */
+export function getGameProgress(team, week, now = Date.now(), season = getActiveSeason()) {
+  const game = getGame(team, week, season);
+  if (!game?.kickoff) return null;
+  return Math.min(1, Math.max(0, (now - game.kickoff) / GAME_LENGTH));
+}
+
+/**
+ * Game windows for a week: { live, nextKickoff, over }
+ * live - a game is being played now; nextKickoff - ms timestamp (null when none are left);
+ * over - every game has finished. Without a schedule, the week's first kickoff to its end is one window
+ */
+export function getGameWindow(week, now = Date.now(), season = getActiveSeason()) {
+  const games = calendars[parseInt(season)]?.games || {};
+  const kickoffs = [...new Set(Object.values(games).map(teamGames => teamGames[week]?.kickoff).filter(Boolean))]
+    .sort((a, b) => a - b);
+
+  if (kickoffs.length === 0) {
+    const bounds = getWeeks(season)[week];
+    if (!bounds) return { live: false, nextKickoff: null, over: true };
+    return {
+      live: now >= bounds.firstKickoff && now < bounds.end,
+      nextKickoff: now < bounds.firstKickoff ? bounds.firstKickoff : null,
+      over: now >= bounds.end
+    };
+  }
+
+  return {
+    live: kickoffs.some(kickoff => now >= kickoff && now < kickoff + GAME_LENGTH),
+    nextKickoff: kickoffs.find(kickoff => kickoff > now) ?? null,
+    over: now >= kickoffs[kickoffs.length - 1] + GAME_LENGTH
+  };
+}
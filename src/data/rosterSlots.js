@@ -0,0 +1,43 @@
+/**
+ * Lineup slot definitions
+ * Slot names follow Sleeper's roster_positions; ESPN slots are mapped onto them
+ */
+
+/**
+ * Player positions eligible for each starting slot
+ */
+export const SLOT_ELIGIBILITY = {
+  QB: ['QB'],
+  RB: ['RB'],
+  WR: ['WR'],
+  TE: ['TE'],
+  K: ['K'],
+  DEF: ['DEF'],
+  FLEX: ['RB', 'WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  WRRB_FLEX: ['RB', 'WR'],
+  REC_FLEX: ['WR', 'TE'],
+  IDP_FLEX: ['DL', 'LB', 'DB']
+};
+
+/**
+ * Roster slots that don't score points
+ */
+export const NON_STARTING_SLOTS = ['BN', 'IR', 'TAXI'];
+
+/**
+ * Check whether a roster slot is a starting (scoring) slot
+ * Slots without an eligibility entry (IDP DL, LB, DB, ...) still start a player
+ */
+export function isStartingSlot(slot) {
+  return !NON_STARTING_SLOTS.includes(slot);
+}
+
+/**
+ * Check whether a player position can fill a slot
+ * A slot with no eligibility entry takes players of its own position
+ */
+export function isEligibleForSlot(position, slot) {
+  const eligible = SLOT_ELIGIBILITY[slot];
+  return eligible ? eligible.includes(position) : slot === position;
+}
@@ -67,11 +67,33 @@ export const INJURY_MULTIPLIERS = {
 };
 
 /**
- * Season configuration
+ * Expected weeks missed by injury status, counting the current week
+ * Used to plan future lineups when no return date is known
+ */
+export const INJURY_WEEKS_OUT = {
+  IR: 4,
+  PUP: 4,
+  Out: 1,
+  Sus: 1
+};
+
+/**
+ * Week-to-week scoring volatility by position
+ * Standard deviation as a fraction of projected points, with a floor in points
+ */
+export const POSITION_VOLATILITY = {
+  QB: { ratio: 0.4, min: 4 },
+  RB: { ratio: 0.55, min: 3 },
+  WR: { ratio: 0.6, min: 3 },
+  TE: { ratio: 0.65, min: 2.5 },
+  K: { ratio: 0.45, min: 2.5 },
+  DEF: { ratio: 0.6, min: 3 }
+};
+
+/**
+ * Season configuration (fantasy weeks; NFL dates live in nflCalendar.js)
  */
 export const SEASON_CONFIG = {
-  CURRENT_YEAR: 2025,
-  SEASON_START_DATE: '2025-09-04', // Thursday, Sept 4, 2025
   EARLY_SEASON_END_WEEK: 8,
   PLAYOFF_PUSH_START_WEEK: 14,
   REGULAR_SEASON_WEEKS: 14,
@@ -92,6 +114,13 @@ export function isPlayerUnavailable(injuryStatus) {
   return injuryStatus === 'IR' || injuryStatus === 'Out';
 }
 
+/**
+ * Check if a player is expected back a given number of weeks from now (0 = this week)
+ */
+export function isAvailableInWeeks(injuryStatus, weeksAhead) {
+  return weeksAhead >= (INJURY_WEEKS_OUT[injuryStatus] ?? 0);
+}
+
 /**
  * Check if injury status indicates player is seriously questionable
  */
@@ -106,6 +135,16 @@ export function getBasePoints(position) {
   return BASE_POINTS[position] ?? 0;
 }
 
+/**
+ * Get the standard deviation of a player's weekly points
+ * Players projected for nothing (BYE, out) carry no variance
+ */
+export function getPointsStdDev(position, projection) {
+  if (!projection || projection <= 0) return 0;
+  const volatility = POSITION_VOLATILITY[position] ?? { ratio: 0.6, min: 3 };
+  return Math.max(projection * volatility.ratio, volatility.min);
+}
+
 /**
  * Get position scarcity multiplier
  */
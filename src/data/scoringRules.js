@@ -0,0 +1,149 @@
+/**
+ * Stat and scoring rule definitions shared by Sleeper and ESPN leagues
+ * Stats and scoring settings are normalized to Sleeper-style keys (pass_yd, rec, ...)
+ */
+
+/**
+ * ESPN stat IDs mapped to Sleeper-style stat keys
+ * Used both for ESPN stat lines and for ESPN scoringItems
+ */
+export const ESPN_STAT_MAP = {
+  0: 'pass_att',
+  1: 'pass_cmp',
+  3: 'pass_yd',
+  4: 'pass_td',
+  15: 'pass_td_40p',
+  16: 'pass_td_50p',
+  17: 'bonus_pass_yd_300_399',
+  18: 'bonus_pass_yd_400p',
+  19: 'pass_2pt',
+  20: 'pass_int',
+  23: 'rush_att',
+  24: 'rush_yd',
+  25: 'rush_td',
+  26: 'rush_2pt',
+  35: 'rush_td_40p',
+  36: 'rush_td_50p',
+  37: 'bonus_rush_yd_100_199',
+  38: 'bonus_rush_yd_200p',
+  42: 'rec_yd',
+  43: 'rec_td',
+  44: 'rec_2pt',
+  45: 'rec_td_40p',
+  46: 'rec_td_50p',
+  53: 'rec',
+  56: 'bonus_rec_yd_100_199',
+  57: 'bonus_rec_yd_200p',
+  58: 'rec_tgt',
+  68: 'fum',
+  72: 'fum_lost',
+  74: 'fgm_50p',
+  77: 'fgm_40_49',
+  80: 'fgm_0_39',
+  83: 'fgm',
+  85: 'fgmiss',
+  86: 'xpm',
+  88: 'xpmiss',
+  89: 'pts_allow_0',
+  90: 'pts_allow_1_6',
+  91: 'pts_allow_7_13',
+  92: 'pts_allow_14_17',
+  93: 'blk_kick_td',
+  95: 'int',
+  96: 'fum_rec',
+  97: 'blk_kick',
+  98: 'safe',
+  99: 'sack',
+  101: 'kr_td',
+  102: 'pr_td',
+  103: 'def_fum_td',
+  104: 'def_int_td',
+  120: 'pts_allow',
+  121: 'pts_allow_18_21',
+  122: 'pts_allow_22_27',
+  123: 'pts_allow_28_34',
+  124: 'pts_allow_35_45',
+  125: 'pts_allow_46p'
+};
+
+/**
+ * ESPN lineup slot IDs used in scoringItem pointsOverrides
+ */
+export const ESPN_SLOT_POSITIONS = {
+  0: 'QB',
+  2: 'RB',
+  4: 'WR',
+  6: 'TE',
+  16: 'DEF',
+  17: 'K'
+};
+
+/**
+ * Yardage/volume bonuses earned by crossing a threshold in a single game
+ * Sleeper bonuses are cumulative (300+ and 400+ both pay at 400), ESPN's are ranges
+ */
+export const THRESHOLD_BONUSES = [
+  { key: 'bonus_pass_yd_300', stats: ['pass_yd'], min: 300 },
+  { key: 'bonus_pass_yd_400', stats: ['pass_yd'], min: 400 },
+  { key: 'bonus_pass_cmp_25', stats: ['pass_cmp'], min: 25 },
+  { key: 'bonus_rush_yd_100', stats: ['rush_yd'], min: 100 },
+  { key: 'bonus_rush_yd_200', stats: ['rush_yd'], min: 200 },
+  { key: 'bonus_rush_att_20', stats: ['rush_att'], min: 20 },
+  { key: 'bonus_rec_yd_100', stats: ['rec_yd'], min: 100 },
+  { key: 'bonus_rec_yd_200', stats: ['rec_yd'], min: 200 },
+  { key: 'bonus_rush_rec_yd_100', stats: ['rush_yd', 'rec_yd'], min: 100 },
+  { key: 'bonus_rush_rec_yd_200', stats: ['rush_yd', 'rec_yd'], min: 200 },
+  { key: 'bonus_pass_yd_300_399', stats: ['pass_yd'], min: 300, max: 399 },
+  { key: 'bonus_pass_yd_400p', stats: ['pass_yd'], min: 400 },
+  { key: 'bonus_rush_yd_100_199', stats: ['rush_yd'], min: 100, max: 199 },
+  { key: 'bonus_rush_yd_200p', stats: ['rush_yd'], min: 200 },
+  { key: 'bonus_rec_yd_100_199', stats: ['rec_yd'], min: 100, max: 199 },
+  { key: 'bonus_rec_yd_200p', stats: ['rec_yd'], min: 200 }
+];
+
+/**
+ * Per-reception bonuses by position (e.g. TE premium)
+ */
+export const POSITION_RECEPTION_BONUSES = {
+  RB: 'bonus_rec_rb',
+  WR: 'bonus_rec_wr',
+  TE: 'bonus_rec_te'
+};
+
+/**
+ * Team defense points-allowed tiers (Sleeper and ESPN boundaries)
+ * A league's settings only use one of the two schemes
+ */
+export const POINTS_ALLOWED_TIERS = [
+  { key: 'pts_allow_0', min: 0, max: 0 },
+  { key: 'pts_allow_1_6', min: 1, max: 6 },
+  { key: 'pts_allow_7_13', min: 7, max: 13 },
+  { key: 'pts_allow_14_20', min: 14, max: 20 },
+  { key: 'pts_allow_21_27', min: 21, max: 27 },
+  { key: 'pts_allow_28_34', min: 28, max: 34 },
+  { key: 'pts_allow_35p', min: 35, max: Infinity },
+  { key: 'pts_allow_14_17', min: 14, max: 17 },
+  { key: 'pts_allow_18_21', min: 18, max: 21 },
+  { key: 'pts_allow_22_27', min: 22, max: 27 },
+  { key: 'pts_allow_35_45', min: 35, max: 45 },
+  { key: 'pts_allow_46p', min: 46, max: Infinity }
+];
+
+/**
+ * Field goal distance buckets that can be rebuilt from finer-grained ones
+ */
+export const FIELD_GOAL_AGGREGATES = {
+  fgm_0_39: ['fgm_0_19', 'fgm_20_29', 'fgm_30_39'],
+  fgm_50p: ['fgm_50_59', 'fgm_60p']
+};
+
+/**
+ * Typical weekly stat line for a fantasy starter at each position
+ * Scored with league settings to estimate points when no projection exists
+ */
+export const BASELINE_STAT_LINES = {
+  QB: { pass_yd: 240, pass_td: 1.6, pass_int: 0.8, rush_yd: 15, rush_td: 0.1, fum_lost: 0.2 },
+  RB: { rush_yd: 55, rush_td: 0.4, rec: 2.5, rec_yd: 20, rec_td: 0.1, fum_lost: 0.1 },
+  WR: { rec: 4.5, rec_yd: 60, rec_td: 0.4, fum_lost: 0.05 },
+  TE: { rec: 3.5, rec_yd: 38, rec_td: 0.3, fum_lost: 0.05 }
+};
@@ -1,8 +1,45 @@
 /**
  * NFL Team Rankings and Classifications
- * Updated for 2025 season
+ * Ratings computed from the season's weekly stats are registered at startup;
+ * without them, the static 2025 lists below are used
  */
 
+let computedRatings = null; // { weeks, offense: { [team]: multiplier }, defense: { [team]: { QB, RB, WR, TE, K } } }
+let computedTiers = null; // { elite: Set, weak: Set } from the offense ratings
+
+/**
+ * Register ratings computed from weekly stats (see services/teamRatings.js), or null to clear them
+ */
+export function registerTeamRatings(ratings) {
+  computedRatings = ratings && ratings.weeks > 0 ? ratings : null;
+  computedTiers = null;
+  if (computedRatings) {
+    // As many elite and weak offenses as the static lists hold
+    const ranked = Object.entries(computedRatings.offense)
+      .sort((a, b) => b[1] - a[1])
+      .map(([team]) => team);
+    computedTiers = {
+      elite: new Set(ranked.slice(0, ELITE_OFFENSES.length)),
+      weak: new Set(ranked.slice(-WEAK_OFFENSES.length))
+    };
+  }
+}
+
+/**
+ * Check whether computed ratings are registered
+ */
+export function hasTeamRatings() {
+  return computedRatings !== null;
+}
+
+/**
+ * Keep a computed multiplier on the same scale as the static tiers
+ */
+function clampMultiplier(value, low, high) {
+  return Math.max(low, Math.min(high, value ?? 1.0));
+}
+
+
 /**
  * Elite offensive teams - higher scoring expectations
  */
@@ -40,23 +77,91 @@ export const TEAM_MULTIPLIERS = {
 
 /**
  * Check if a team has an elite offense
+ * With computed ratings: one of the top scoring offenses (as many as the static list holds)
  */
 export function isEliteOffense(team) {
+  if (computedTiers) return computedTiers.elite.has(team);
   return ELITE_OFFENSES.includes(team);
 }
 
 /**
  * Check if a team has a weak offense
+ * With computed ratings: one of the lowest scoring offenses (as many as the static list holds)
  */
 export function isWeakOffense(team) {
+  if (computedTiers) return computedTiers.weak.has(team);
   return WEAK_OFFENSES.includes(team);
 }
 
 /**
  * Get team quality multiplier for projections
+ * With computed ratings: the team's fantasy scoring against the league average
  */
 export function getTeamMultiplier(team) {
+  if (computedRatings) {
+    return clampMultiplier(computedRatings.offense[team], TEAM_MULTIPLIERS.WEAK, TEAM_MULTIPLIERS.ELITE);
+  }
   if (isEliteOffense(team)) return TEAM_MULTIPLIERS.ELITE;
   if (isWeakOffense(team)) return TEAM_MULTIPLIERS.WEAK;
   return 1.0; // Average team
 }
+
+/**
+ * Tough defenses - opposing players score less against them
+ */
+export const TOUGH_DEFENSES = [
+  'BAL', // Baltimore Ravens
+  'CLE', // Cleveland Browns
+  'PIT', // Pittsburgh Steelers
+  'SF',  // San Francisco 49ers
+  'NYJ', // New York Jets
+  'DEN', // Denver Broncos
+  'KC',  // Kansas City Chiefs
+  'HOU'  // Houston Texans
+];
+
+/**
+ * Soft defenses - opposing players score more against them
+ */
+export const SOFT_DEFENSES = [
+  'CAR', // Carolina Panthers
+  'WAS', // Washington Commanders
+  'ARI', // Arizona Cardinals
+  'LV',  // Las Vegas Raiders
+  'TEN', // Tennessee Titans
+  'ATL', // Atlanta Falcons
+  'JAX'  // Jacksonville Jaguars
+];
+
+/**
+ * Opponent multipliers for a player's expected scoring
+ */
+export const MATCHUP_MULTIPLIERS = {
+  EASY: 1.1,
+  HARD: 0.9
+};
+
+/**
+ * Expected scoring multiplier for a player's position against an NFL opponent
+ * Team defenses face the opponent's offense; everyone else faces its defense
+ * With computed ratings: fantasy points the opponent allows to the position against the league average
+ */
+export function getMatchupMultiplier(opponent, position) {
+  if (!opponent) return 1.0;
+  if (computedRatings) {
+    const { EASY, HARD } = MATCHUP_MULTIPLIERS;
+    if (position === 'DEF') {
+      const offense = computedRatings.offense[opponent];
+      return offense ? clampMultiplier(1 / offense, HARD, EASY) : 1.0;
+    }
+    return clampMultiplier(computedRatings.defense[opponent]?.[position], HARD, EASY);
+  }
+  if (position === 'DEF') {
+    if (isWeakOffense(opponent)) return MATCHUP_MULTIPLIERS.EASY;
+    if (isEliteOffense(opponent)) return MATCHUP_MULTIPLIERS.HARD;
+    return 1.0;
+  }
+  if (SOFT_DEFENSES.includes(opponent)) return MATCHUP_MULTIPLIERS.EASY;
+  if (TOUGH_DEFENSES.includes(opponent)) return MATCHUP_MULTIPLIERS.HARD;
+  return 1.0; // Average matchup
+}
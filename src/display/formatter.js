@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { formatSchedule } from '../services/scheduleStrength.js';
 
 /**
  * CLI display formatting utilities
@@ -38,11 +39,28 @@ export class DisplayFormatter {
     console.log(chalk.bold.magenta('LINEUP OPTIMIZATION'));
     console.log(chalk.bold.magenta('='.repeat(70)));
 
+    const win = analysis.winProbability;
+    const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
     console.log(`\nCurrent Projected Points: ${chalk.yellow(analysis.currentPoints.toFixed(1))}`);
-    console.log(`Optimal Projected Points: ${chalk.green(analysis.optimalPoints.toFixed(1))}`);
+    console.log(`${win ? 'Recommended' : 'Optimal'} Projected Points: ${chalk.green(analysis.optimalPoints.toFixed(1))}`);
+
+    if (win) {
+      console.log(`\nOpponent: ${win.opponent.name} ${chalk.gray(`(${win.opponent.mean.toFixed(1)} ± ${win.opponent.stdDev.toFixed(1)} pts)`)}`);
+      console.log(`Win Probability: ${chalk.yellow(`${(win.current * 100).toFixed(1)}%`)} current → ${chalk.green(`${(win.recommended * 100).toFixed(1)}%`)} recommended`);
+      if (win.riskLevel > 0) {
+        console.log(chalk.gray('Strategy: underdog - favoring high-ceiling players'));
+      } else if (win.riskLevel < 0) {
+        console.log(chalk.gray('Strategy: favorite - favoring safe floors'));
+      }
+    }
 
-    if (analysis.pointsGain > 0.5) {
-      console.log(chalk.bold.red(`\nPotential Gain: +${analysis.pointsGain.toFixed(1)} points`));
+    if (analysis.recommendations.length > 0) {
+      if (win) {
+        console.log(chalk.bold.red(`\nWin Probability Gain: +${((win.recommended - win.current) * 100).toFixed(1)}% (${signed(analysis.pointsGain)} projected points)`));
+      } else {
+        console.log(chalk.bold.red(`\nPotential Gain: +${analysis.pointsGain.toFixed(1)} points`));
+      }
       console.log('\n' + chalk.bold.red('RECOMMENDED CHANGES:'));
 
       analysis.recommendations.forEach((rec, idx) => {
@@ -56,19 +74,34 @@ export class DisplayFormatter {
           if (rec.in.projection !== undefined) {
             console.log(`          ${chalk.gray('Projected:')} ${rec.in.projection.toFixed(1)} pts`);
           }
+          console.log(`   ${chalk.yellow('Improvement:')} ${signed(rec.improvement)} points`);
+        } else if (rec.type === 'start') {
+          // Fill an empty slot
+          console.log(`\n${idx + 1}. ${chalk.green('Start:')} ${rec.in.name} (${rec.in.position}) in the empty ${rec.position} slot`);
           console.log(`   ${chalk.yellow('Improvement:')} +${rec.improvement.toFixed(1)} points`);
-        } else if (rec.type === 'position_swap') {
-          // Position swap between two starters
-          console.log(`\n${idx + 1}. ${chalk.blue('Move:')} ${rec.player.name} (${rec.player.position})`);
-          console.log(`   ${chalk.yellow('From:')} ${rec.fromSlot} → ${chalk.yellow('To:')} ${rec.toSlot}`);
-          console.log(`   ${chalk.gray('This allows:')} ${rec.affectedPlayer.name} to fill the ${rec.fromSlot} slot`);
-          console.log(`   ${chalk.yellow('Improvement:')} +${rec.improvement.toFixed(1)} points`);
+        } else if (rec.type === 'bench') {
+          console.log(`\n${idx + 1}. ${chalk.red('Bench:')} ${rec.out.name} (${rec.out.position})`);
+          console.log(`   ${chalk.yellow('Change:')} ${rec.improvement.toFixed(1)} points`);
+        } else if (rec.type === 'move') {
+          // Slot change between starters to make room for a swap
+          const room = rec.makesRoomFor ? ` ${chalk.gray(`(makes room for ${rec.makesRoomFor.name})`)}` : '';
+          console.log(`\n${idx + 1}. ${chalk.blue('Move:')} ${rec.player.name} from ${rec.fromSlot} to ${rec.toSlot}${room}`);
         }
       });
     } else {
       console.log(chalk.bold.green('\n✓ Your lineup is already optimal!'));
     }
 
+    // Near-optimal lineups (close calls worth a gut check)
+    if (analysis.alternatives && analysis.alternatives.length > 0) {
+      console.log('\n' + chalk.bold('CLOSE CALLS (within 1 pt of optimal):'));
+      analysis.alternatives.slice(0, 3).forEach(alt => {
+        const playersIn = alt.playersIn.map(p => `${p.name} (${p.position})`).join(', ');
+        const playersOut = alt.playersOut.map(p => `${p.name} (${p.position})`).join(', ');
+        console.log(`  • Start ${playersIn} over ${playersOut} ${chalk.gray(`(${alt.difference.toFixed(1)} pts)`)}`);
+      });
+    }
+
     console.log('\n' + chalk.bold.magenta('='.repeat(70)) + '\n');
   }
 
@@ -89,7 +122,10 @@ export class DisplayFormatter {
           const trending = player.trending ? chalk.red('🔥 TRENDING') : '';
           const score = chalk.cyan(`[Score: ${player.waiverScore}]`);
           const status = this.getStatusIndicator(player);
-          console.log(`${idx + 1}. ${player.name.padEnd(25)} ${(player.team || 'FA').padEnd(4)} ${status.padEnd(10)} ${score} ${trending}`);
+          const owned = player.percentOwned !== null && player.percentOwned !== undefined ?
+            chalk.gray(`${player.percentOwned.toFixed(0)}% owned`) : '';
+          const schedule = chalk.gray(formatSchedule(player.schedule));
+          console.log(`${idx + 1}. ${player.name.padEnd(25)} ${(player.team || 'FA').padEnd(4)} ${status.padEnd(10)} ${score} ${owned} ${schedule} ${trending}`);
         }
       });
     }
@@ -126,7 +162,8 @@ export class DisplayFormatter {
             if (player && player.name) {
               const status = this.getStatusIndicator(player);
               const score = chalk.cyan(`[${player.waiverScore}]`);
-              console.log(`${idx + 1}. ${player.name.padEnd(25)} ${(player.team || 'FA').padEnd(4)} ${status} ${score}`);
+              const schedule = chalk.gray(formatSchedule(player.schedule));
+              console.log(`${idx + 1}. ${player.name.padEnd(25)} ${(player.team || 'FA').padEnd(4)} ${status} ${score} ${schedule}`);
             }
           });
         }
@@ -138,6 +175,55 @@ export class DisplayFormatter {
     console.log('\n' + chalk.bold.yellow('='.repeat(70)) + '\n');
   }
 
+  /**
+   * Display the multi-week lineup and bye plan
+   */
+  displayWeeklyPlan(plan) {
+    console.log('\n' + chalk.bold.blue('='.repeat(70)));
+    console.log(chalk.bold.blue(`LINEUP PLAN: WEEKS ${plan.weeks[0]?.week}-${plan.weeks[plan.weeks.length - 1]?.week}`));
+    console.log(chalk.bold.blue('='.repeat(70)));
+
+    plan.weeks.forEach(weekPlan => {
+      const flag = weekPlan.holes.length > 0 ?
+        chalk.red(` ⚠ ${weekPlan.holes.length} empty slot(s): ${weekPlan.holes.join(', ')}`) :
+        chalk.green(' ✓ full lineup');
+      console.log(`\n${chalk.bold(`Week ${weekPlan.week}`)} ${chalk.gray(`(${weekPlan.totalProjectedPoints.toFixed(1)} pts)`)}${flag}`);
+
+      if (weekPlan.byes.length > 0) {
+        console.log(`  ${chalk.yellow('BYE:')} ${weekPlan.byes.map(p => `${p.name} (${p.position})`).join(', ')}`);
+      }
+      if (weekPlan.injured.length > 0) {
+        console.log(`  ${chalk.red('Out:')} ${weekPlan.injured.map(p => `${p.name} (${p.injuryStatus})`).join(', ')}`);
+      }
+    });
+
+    if (plan.benchCovers.length > 0) {
+      console.log('\n' + chalk.bold('BENCH COVERS (keep rostered):'));
+      plan.benchCovers.forEach(cover => {
+        console.log(`  • ${cover.player.name} (${cover.player.position}) starts at ${cover.slot} in week ${cover.weeks.join(', ')}`);
+      });
+    }
+
+    if (plan.waiverCovers.length > 0) {
+      console.log('\n' + chalk.bold.red('UNFILLED SLOTS - ADD A COVER:'));
+      plan.waiverCovers.forEach(cover => {
+        console.log(`\n${chalk.bold.yellow(cover.slot)} - week ${cover.weeks.join(', ')} ${chalk.gray(`(add ${cover.addBy})`)}`);
+        if (cover.candidates.length === 0) {
+          console.log('  No available players found');
+        }
+        cover.candidates.forEach((player, idx) => {
+          const weeks = cover.weeks.length > 1 ? chalk.gray(` covers ${player.weeksCovered}/${cover.weeks.length} weeks`) : '';
+          console.log(`  ${idx + 1}. ${player.name.padEnd(25)} ${(player.team || 'FA').padEnd(4)} ${chalk.cyan(`[${player.waiverScore}]`)}${weeks}`);
+        });
+        if (cover.drop) {
+          console.log(`  ${chalk.gray('Open a spot by dropping:')} ${cover.drop.name} (${cover.drop.position})`);
+        }
+      });
+    }
+
+    console.log('\n' + chalk.bold.blue('='.repeat(70)) + '\n');
+  }
+
   /**
    * Display trending players
    */
@@ -156,6 +242,40 @@ export class DisplayFormatter {
     console.log('\n' + chalk.bold.red('='.repeat(70)) + '\n');
   }
 
+  /**
+   * Display cached API responses
+   */
+  displayCacheEntries(entries, dir) {
+    console.log('\n' + chalk.bold.cyan('='.repeat(70)));
+    console.log(chalk.bold.cyan(`API CACHE (${dir})`));
+    console.log(chalk.bold.cyan('='.repeat(70)) + '\n');
+
+    let totalSize = 0;
+    entries.forEach(entry => {
+      totalSize += entry.size;
+      const size = `${(entry.size / 1024).toFixed(1)} KB`.padStart(10);
+      const age = this.formatDuration(Date.now() - entry.storedAt);
+      const expiry = entry.expiresAt === null ? chalk.green('never expires') :
+        entry.fresh ? `expires in ${this.formatDuration(entry.expiresAt - Date.now())}` :
+        chalk.red('expired');
+      console.log(`${entry.key.padEnd(40)} ${size}  ${age.padStart(6)} old  ${expiry}`);
+    });
+
+    console.log(`\n${entries.length} entries, ${(totalSize / 1024 / 1024).toFixed(2)} MB total`);
+    console.log('\n' + chalk.bold.cyan('='.repeat(70)) + '\n');
+  }
+
+  /**
+   * Format a millisecond duration as a short human string (e.g. 5m, 3h, 2d)
+   */
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+    return `${Math.floor(hours / 24)}d`;
+  }
+
   /**
    * Get status indicator for player
    */
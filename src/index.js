@@ -2,19 +2,37 @@
 
 import { program } from 'commander';
 import { PlatformAdapter } from './adapters/platformAdapter.js';
+import { ApiCache, DEFAULT_CACHE_DIR } from './api/cache.js';
+import { FixtureStore } from './api/fixtures.js';
 import { RosterService } from './services/roster.js';
-import { LineupOptimizer } from './services/optimizer.js';
+import { ProjectionService } from './services/projections.js';
+import { LineupOptimizer, LINEUP_MODES } from './services/optimizer.js';
 import { WaiverAnalyzer } from './services/waivers.js';
+import { LineupPlanner } from './services/planner.js';
 import { AISummaryService } from './services/aiSummary.js';
 import { FirstToGoAnalyzer } from './services/firstToGo.js';
-import { StandingsAnalyzer } from './services/standings.js';
+import { StandingsAnalyzer, parseWhatIf, SIMULATION_ITERATIONS } from './services/standings.js';
+import { parseTiebreakers } from './services/tiebreakers.js';
+import { ScenarioAnalyzer } from './services/scenarios.js';
 import { TradeAnalyzer } from './services/tradeAnalyzer.js';
+import { MatchupAnalyzer } from './services/matchup.js';
+import { LiveScoreTracker } from './services/liveScoring.js';
+import { LeagueHistory } from './services/history.js';
+import { WeeklyRecap } from './services/recap.js';
+import { EfficiencyAnalyzer } from './services/efficiency.js';
+import { TeamRatingsBuilder } from './services/teamRatings.js';
 import { DisplayFormatter } from './display/formatter.js';
+import { getDefaultSeason, setActiveSeason } from './data/byeWeeks.js';
+import { registerSchedule, getGameWindow } from './data/nflCalendar.js';
+import { registerTeamRatings } from './data/teamRankings.js';
 import readline from 'readline';
+import fs from 'fs/promises';
 
-let api, rosterService, optimizer, waiverAnalyzer, aiSummary, firstToGo, standings, tradeAnalyzer;
+let api, rosterService, optimizer, planner, waiverAnalyzer, aiSummary, firstToGo, standings, scenarios, tradeAnalyzer, matchups, liveScores, history, recap, efficiency, teamRatings;
 const display = new DisplayFormatter();
 
+const MAX_LIVE_FAILURES = 5; // Failed live score polls in a row before watch mode gives up
+
 /**
  * Prompt user for input
  */
@@ -39,9 +57,9 @@ async function selectLeague(username) {
   try {
     const user = await api.getUser(username);
 
-    // Try current season and previous seasons
-    const currentYear = new Date().getFullYear();
-    const seasons = [currentYear.toString(), (currentYear - 1).toString()];
+    // Try the requested season and the one before it
+    const currentSeason = api.getSeason();
+    const seasons = [currentSeason.toString(), (currentSeason - 1).toString()];
 
     let allLeagues = [];
     for (const season of seasons) {
@@ -81,10 +99,156 @@ async function selectLeague(username) {
   }
 }
 
+/**
+ * Make a season the one every service analyzes, and load its NFL schedule
+ * Falls back to built-in bye weeks and generated week dates when the schedule is unavailable
+ */
+async function loadSeasonCalendar(season) {
+  setActiveSeason(season);
+  try {
+    registerSchedule(season, await api.getProSchedule(season));
+  } catch (error) {
+    display.displayInfo(`NFL schedule for ${season} unavailable - using built-in bye weeks`);
+  }
+}
+
+/**
+ * Rate every NFL offense and defense from the season's weekly stats, for matchups and team quality
+ * Falls back to the built-in team rankings before the first week is played or when stats are unavailable
+ */
+async function loadTeamRatings(leagueId) {
+  try {
+    const ratings = await teamRatings.buildRatings(leagueId);
+    registerTeamRatings(ratings);
+    if (ratings.weeks === 0) {
+      display.displayInfo('No completed NFL weeks with stats yet - using built-in team rankings');
+      return null;
+    }
+    return ratings;
+  } catch (error) {
+    display.displayInfo('NFL weekly stats unavailable - using built-in team rankings');
+    return null;
+  }
+}
+
+/**
+ * Follow a week's live scores, polling while games are on and waiting for the next kickoff between them
+ * Ends once every game in the week is over (a replay is a fixed snapshot, so it's shown once)
+ */
+async function watchLiveScores(leagueId, roster, options) {
+  const week = await rosterService.getCurrentWeek();
+  const focus = options.league ? null : roster.roster_id;
+  let previous = null;
+  let failures = 0;
+
+  display.displayInfo(`Watching week ${week} live scores (Ctrl+C to stop)`);
+
+  while (true) {
+    let scoreboard;
+    try {
+      scoreboard = await liveScores.getScoreboard(leagueId, week);
+      failures = 0;
+    } catch (error) {
+      // A replay can't recover; live, one bad request shouldn't end hours of watching
+      failures++;
+      if (api.fixtures?.mode === 'replay' || failures >= MAX_LIVE_FAILURES) {
+        throw new Error(`Live scores unavailable (${failures} failed update${failures === 1 ? '' : 's'}): ${error.message}`);
+      }
+      display.displayError(`Live score update failed (${error.message}) - retrying in ${options.interval}s`);
+      await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+      continue;
+    }
+
+    console.log('\n' + '='.repeat(70));
+    console.log(liveScores.formatScoreboard(scoreboard, roster.roster_id, { league: options.league }));
+    console.log('='.repeat(70));
+
+    liveScores.findLeadChanges(previous, scoreboard)
+      .filter(change => focus === null || change.game.teams.some(team => team.rosterId === focus))
+      .forEach(change => console.log(liveScores.formatLeadChange(change)));
+    previous = scoreboard;
+
+    if (api.fixtures?.mode === 'replay') {
+      display.displayInfo('Replayed scores never change - showing them once');
+      return;
+    }
+
+    const now = Date.now();
+    const window = getGameWindow(week, now);
+    if (window.over || (!window.live && window.nextKickoff === null)) {
+      display.displaySuccess(`Week ${week} is over`);
+      return;
+    }
+
+    let wait = options.interval * 1000;
+    if (!window.live) {
+      display.displayInfo(`No games on - next kickoff ${new Date(window.nextKickoff).toLocaleString()}`);
+      wait = window.nextKickoff - now;
+    }
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
+
+/**
+ * Show the league's history across seasons and a franchise page
+ * (the user's own, or the manager named by franchise)
+ */
+async function showLeagueHistory(leagueId, userId, franchise) {
+  display.displayInfo('Loading league history...');
+  if (api.platform === 'espn') {
+    display.displayInfo('ESPN leagues don\'t link past seasons - showing this season only');
+  }
+
+  const archive = await history.loadArchive(leagueId);
+  let ownerId = userId;
+  if (franchise) {
+    try {
+      ownerId = history.findManager(archive, franchise).ownerId;
+    } catch (error) {
+      display.displayError(error.message);
+      return;
+    }
+  }
+
+  console.log('\n' + '='.repeat(70));
+  console.log(history.formatHistory(archive, userId));
+  console.log('');
+  console.log(history.formatFranchise(archive, ownerId));
+  console.log('='.repeat(70) + '\n');
+}
+
+/**
+ * Write a week's recap as Markdown, to a file or the terminal
+ * Defaults to the last played week
+ */
+async function writeWeeklyRecap(leagueId, options) {
+  const week = options.week ?? (await rosterService.getCurrentWeek()) - 1;
+  if (week < 1) {
+    display.displayError('No weeks have been played yet');
+    return;
+  }
+
+  display.displayInfo(`Writing the week ${week} recap...`);
+  let markdown;
+  try {
+    markdown = recap.formatMarkdown(await recap.buildRecap(leagueId, week));
+  } catch (error) {
+    display.displayError(`Recap failed: ${error.message}`);
+    return;
+  }
+
+  if (options.file) {
+    await fs.writeFile(options.file, markdown);
+    display.displaySuccess(`Recap saved to ${options.file}`);
+  } else {
+    console.log('\n' + markdown);
+  }
+}
+
 /**
  * Main application flow
  */
-async function runAnalyzer(username, leagueId) {
+async function runAnalyzer(username, leagueId, analysisOptions = {}) {
   try {
     let user, league;
 
@@ -103,6 +267,12 @@ async function runAnalyzer(username, leagueId) {
     }
 
     display.displaySuccess(`Analyzing league: ${league.name}`);
+    await loadSeasonCalendar(parseInt(league.season) || api.getSeason());
+
+    // Remember what was analyzed so a replay can skip the prompts
+    if (api.fixtures?.mode === 'record') {
+      await api.fixtures.recordSession({ username, leagueId: league.league_id });
+    }
 
     // Get and display current week
     const currentWeek = await rosterService.getCurrentWeek();
@@ -170,13 +340,68 @@ async function runAnalyzer(username, leagueId) {
       }
     }
 
+    if (analysisOptions.recap) {
+      await writeWeeklyRecap(league.league_id, analysisOptions.recap);
+      return;
+    }
+
+    if (analysisOptions.history) {
+      await showLeagueHistory(league.league_id, user.user_id, analysisOptions.history.franchise);
+      return;
+    }
+
+    if (analysisOptions.watch) {
+      const roster = await rosterService.getUserRoster(user.user_id, league.league_id);
+      if (!roster) {
+        display.displayError('Could not find your roster in this league.');
+        return;
+      }
+      await watchLiveScores(league.league_id, roster, analysisOptions.watch);
+      return;
+    }
+
+    // Defense-vs-position and offense ratings from this season's stats
+    display.displayInfo('Rating NFL defenses from weekly stats...');
+    const ratings = await loadTeamRatings(league.league_id);
+    if (ratings && analysisOptions.defense) {
+      console.log('\n' + '='.repeat(70));
+      console.log(teamRatings.formatRatings(ratings));
+      console.log('='.repeat(70) + '\n');
+    }
+
     // Analyze league standings and playoff probability
     display.displayInfo('Calculating standings and playoff probability...');
-    const standingsAnalysis = await standings.analyzeStandings(user.user_id, league.league_id);
+    const standingsAnalysis = await standings.analyzeStandings(user.user_id, league.league_id, {
+      tiebreakers: analysisOptions.tiebreakers,
+      iterations: analysisOptions.iterations,
+      seed: analysisOptions.seed,
+      median: analysisOptions.median
+    });
     console.log('\n' + '='.repeat(70));
     console.log(standings.formatStandings(standingsAnalysis));
+
+    const scenarioAnalysis = await scenarios.analyzeScenarios(standingsAnalysis, league.league_id);
+    console.log(scenarios.formatScenarios(scenarioAnalysis, standingsAnalysis.userRecord.rosterId));
+
+    if (analysisOptions.whatIfs?.length > 0) {
+      try {
+        const whatIf = await standings.analyzeWhatIf(standingsAnalysis, league.league_id, analysisOptions.whatIfs);
+        console.log(standings.formatWhatIf(whatIf, standingsAnalysis.userRecord.rosterId));
+      } catch (error) {
+        display.displayError(`What-if failed: ${error.message}`);
+      }
+    }
     console.log('='.repeat(70) + '\n');
 
+    // Review completed weeks' lineups against the best possible ones
+    display.displayInfo('Reviewing lineup efficiency...');
+    const efficiencyReport = await efficiency.analyzeEfficiency(league.league_id);
+    if (efficiencyReport.length > 0) {
+      console.log('\n' + '='.repeat(70));
+      console.log(efficiency.formatEfficiency(efficiencyReport, standingsAnalysis.userRecord.rosterId));
+      console.log('='.repeat(70) + '\n');
+    }
+
     // Get user's roster
     const roster = await rosterService.getUserRoster(user.user_id, league.league_id);
     if (!roster) {
@@ -188,11 +413,32 @@ async function runAnalyzer(username, leagueId) {
     const formatted = await rosterService.formatRoster(roster);
     display.displayRoster(formatted);
 
+    // Preview this week's head-to-head matchup
+    display.displayInfo('Previewing this week\'s matchup...');
+    const preview = await matchups.previewMatchup(league.league_id, roster);
+    if (preview) {
+      console.log('\n' + '='.repeat(70));
+      console.log(matchups.formatPreview(preview));
+      console.log('='.repeat(70) + '\n');
+    } else {
+      display.displayInfo('No opponent found this week');
+    }
+
     // Analyze lineup
     display.displayInfo('Analyzing optimal lineup...');
-    const lineupAnalysis = await optimizer.analyzeLineup(league.league_id, roster);
+    const lineupAnalysis = await optimizer.analyzeLineup(league.league_id, roster, { mode: analysisOptions.lineupMode });
+    if (analysisOptions.lineupMode === 'win' && lineupAnalysis.mode !== 'win') {
+      display.displayInfo('No opponent found this week - optimizing projected points instead');
+    }
     display.displayLineupAnalysis(lineupAnalysis);
 
+    // Plan upcoming weeks around byes and injuries
+    if (analysisOptions.planWeeks > 0) {
+      display.displayInfo(`Planning lineups for the next ${analysisOptions.planWeeks} week(s)...`);
+      const weeklyPlan = await planner.planWeeks(league.league_id, roster, analysisOptions.planWeeks);
+      display.displayWeeklyPlan(weeklyPlan);
+    }
+
     // Analyze roster needs
     display.displayInfo('Analyzing roster depth...');
     const rosterNeeds = await waiverAnalyzer.analyzeRosterNeeds(league.league_id, roster);
@@ -219,6 +465,7 @@ async function runAnalyzer(username, leagueId) {
 
     // Analyze trade opportunities
     display.displayInfo('Finding trade partners based on team needs...');
+    await tradeAnalyzer.init(league.league_id);
     const tradeMatches = await tradeAnalyzer.findTradeMatches(formatted, league.league_id, user.user_id);
     const yourNeeds = tradeAnalyzer.calculateTeamNeeds(formatted);
     console.log('\n' + '='.repeat(70));
@@ -255,8 +502,109 @@ program
   .option('-l, --league <leagueId>', 'League ID')
   .option('--espn-s2 <espnS2>', 'ESPN S2 cookie (for private leagues)')
   .option('--swid <swid>', 'ESPN SWID cookie (for private leagues)')
-  .option('-s, --season <season>', 'Season year (default: 2025)', '2025')
+  .option('-s, --season <season>', 'Season year (default: current season)', String(getDefaultSeason()))
+  .option('--refresh', 'Ignore cached API responses and fetch fresh data')
+  .option('--no-cache', 'Disable the on-disk API response cache')
+  .option('--cache-dir <dir>', 'Directory for cached API responses', DEFAULT_CACHE_DIR)
+  .option('--record <dir>', 'Record every platform response to fixture files in dir')
+  .option('--replay <dir>', 'Run entirely from fixtures recorded with --record (no network)')
+  .option('--lineup-mode <mode>', 'Lineup goal: points (max projected points) or win (max chance to beat this week\'s opponent)', 'points')
+  .option('--plan-weeks <weeks>', 'Plan lineups, byes and injury covers for the next N weeks (0 to skip)', '4')
+  .option('--tiebreakers <rules>', 'Standings tiebreakers in order, e.g. h2h,pf,pa,division,coin (default: league settings)')
+  .option('--median', 'Score a weekly game against the league median (default: league settings)')
+  .option('--no-median', 'Ignore league median scoring')
+  .option('--iterations <count>', 'Monte Carlo simulations for playoff odds', String(SIMULATION_ITERATIONS))
+  .option('--seed <seed>', 'Random seed for the playoff simulation (repeat a run exactly)')
+  .option('--watch', 'Follow this week\'s live scores and win probability instead of running the analysis')
+  .option('--watch-league', 'With --watch, show every game in the league and all lead changes')
+  .option('--interval <seconds>', 'Seconds between live score updates while games are on', '60')
+  .option('--history', 'Show all-time records, rivalries and your franchise history across past seasons instead of running the analysis')
+  .option('--franchise <manager>', 'With --history, show this manager\'s franchise page (name or team name)')
+  .option('--recap [week]', 'Write a Markdown recap with awards and standings movement for a week (default: the last played week) instead of running the analysis')
+  .option('--recap-file <path>', 'With --recap, save the Markdown to a file instead of printing it')
+  .option('--defense', 'Show the fantasy points every NFL defense allows to each position')
+  .option('--what-if <pins...>', 'Force future results and compare playoff odds, e.g. 12:3 (roster 3 wins week 12) or "12:Team Name=130.5-101.2"')
   .action(async (options) => {
+    const planWeeks = parseInt(options.planWeeks);
+    if (isNaN(planWeeks) || planWeeks < 0) {
+      display.displayError(`Invalid --plan-weeks '${options.planWeeks}' (expected a number of weeks)`);
+      return;
+    }
+
+    if (!LINEUP_MODES.includes(options.lineupMode)) {
+      display.displayError(`Unknown lineup mode '${options.lineupMode}' (expected ${LINEUP_MODES.join(' or ')})`);
+      return;
+    }
+
+    const iterations = parseInt(options.iterations);
+    if (isNaN(iterations) || iterations < 1) {
+      display.displayError(`Invalid --iterations '${options.iterations}' (expected a positive number)`);
+      return;
+    }
+
+    const seed = options.seed !== undefined ? parseInt(options.seed) : undefined;
+    if (seed !== undefined && (isNaN(seed) || seed < 0)) {
+      display.displayError(`Invalid --seed '${options.seed}' (expected a non-negative integer)`);
+      return;
+    }
+
+    const interval = parseInt(options.interval);
+    if (isNaN(interval) || interval < 10) {
+      display.displayError(`Invalid --interval '${options.interval}' (expected at least 10 seconds)`);
+      return;
+    }
+    const watch = options.watch || options.watchLeague ? { league: Boolean(options.watchLeague), interval } : null;
+
+    let recapOptions = null;
+    if (options.recap || options.recapFile) {
+      const week = typeof options.recap === 'string' ? parseInt(options.recap) : null;
+      if (week !== null && (isNaN(week) || week < 1)) {
+        display.displayError(`Invalid --recap week '${options.recap}' (expected a week number)`);
+        return;
+      }
+      recapOptions = { week, file: options.recapFile || null };
+    }
+
+    const historyOptions = options.history || options.franchise ? { franchise: options.franchise || null } : null;
+
+    let whatIfs = [];
+    try {
+      whatIfs = (options.whatIf || []).map(parseWhatIf);
+    } catch (error) {
+      display.displayError(error.message);
+      return;
+    }
+
+    let tiebreakers = null;
+    if (options.tiebreakers) {
+      try {
+        tiebreakers = parseTiebreakers(options.tiebreakers);
+      } catch (error) {
+        display.displayError(error.message);
+        return;
+      }
+    }
+
+    // A replay reuses the recorded platform, league, season and user unless overridden
+    if (options.replay) {
+      try {
+        const manifest = await new FixtureStore(options.replay, 'replay').readManifest();
+        const session = manifest.session || {};
+        if (session.platform && program.getOptionValueSource('platform') === 'default') {
+          options.platform = session.platform;
+        }
+        if (session.season && program.getOptionValueSource('season') === 'default') {
+          options.season = String(session.season);
+        }
+        options.league = options.league || session.leagueId;
+        options.username = options.username || session.username;
+        display.displayInfo(`Replaying session recorded ${manifest.recordedAt} from ${options.replay}`);
+      } catch (error) {
+        display.displayError(error.message);
+        return;
+      }
+    }
+
     const platform = options.platform.toLowerCase();
 
     console.log(`Welcome to Fantasy Analyzer (${platform.toUpperCase()})!\n`);
@@ -267,6 +615,16 @@ program
       leagueId: options.league
     };
 
+    if (options.cache) {
+      config.cache = new ApiCache({ dir: options.cacheDir, refresh: options.refresh });
+    }
+
+    if (options.record) {
+      config.record = options.record;
+    } else if (options.replay) {
+      config.replay = options.replay;
+    }
+
     if (platform === 'espn') {
       // ESPN-specific config
       if (options.espnS2 && options.swid) {
@@ -294,15 +652,53 @@ program
 
     // Initialize API and services
     api = new PlatformAdapter(platform, config);
-    rosterService = new RosterService(api);
+    setActiveSeason(config.season);
+
+    if (api.fixtures?.mode === 'record') {
+      await api.fixtures.recordSession({ platform, season: config.season });
+      display.displayInfo(`Recording platform responses to ${options.record}`);
+    }
+    rosterService = new RosterService(api, new ProjectionService(api));
     optimizer = new LineupOptimizer(rosterService);
     waiverAnalyzer = new WaiverAnalyzer(rosterService, api);
+    planner = new LineupPlanner(rosterService, optimizer, waiverAnalyzer);
     aiSummary = new AISummaryService(rosterService);
     firstToGo = new FirstToGoAnalyzer(rosterService);
-    standings = new StandingsAnalyzer(api, rosterService);
+    standings = new StandingsAnalyzer(api, rosterService, planner);
+    scenarios = new ScenarioAnalyzer(standings);
     tradeAnalyzer = new TradeAnalyzer(rosterService);
+    matchups = new MatchupAnalyzer(api, rosterService, optimizer);
+    liveScores = new LiveScoreTracker(api, rosterService);
+    recap = new WeeklyRecap(api, rosterService, standings);
+    efficiency = new EfficiencyAnalyzer(api, rosterService, optimizer, standings);
+    teamRatings = new TeamRatingsBuilder(api, rosterService);
+    history = new LeagueHistory(api, rosterService, standings, options.record || options.replay ? null : config.cache);
+
+    await runAnalyzer(options.username, options.league, { lineupMode: options.lineupMode, planWeeks, tiebreakers, whatIfs, iterations, seed, median: options.median, watch, history: historyOptions, recap: recapOptions, defense: Boolean(options.defense) });
+  });
+
+program
+  .command('cache')
+  .description('Inspect or clear the on-disk API response cache')
+  .option('--clear [prefix]', 'Remove cached entries (optionally only keys starting with prefix, e.g. "sleeper/")')
+  .option('--cache-dir <dir>', 'Directory for cached API responses', DEFAULT_CACHE_DIR)
+  .action(async (options) => {
+    const cache = new ApiCache({ dir: options.cacheDir });
+
+    if (options.clear) {
+      const prefix = typeof options.clear === 'string' ? options.clear : null;
+      const removed = await cache.clear(prefix);
+      display.displaySuccess(`Removed ${removed} cached response(s)${prefix ? ` matching '${prefix}'` : ''}`);
+      return;
+    }
+
+    const entries = await cache.list();
+    if (entries.length === 0) {
+      display.displayInfo(`Cache is empty (${cache.dir})`);
+      return;
+    }
 
-    await runAnalyzer(options.username, options.league);
+    display.displayCacheEntries(entries, cache.dir);
   });
 
 program.parse();
@@ -1,3 +1,5 @@
+import { getTeamsOnBye } from '../data/byeWeeks.js';
+
 /**
  * AI-powered team analysis and strategic recommendations
  */
@@ -49,8 +51,16 @@ export class AISummaryService {
     }
 
     // Lineup optimization opportunities
-    if (lineupAnalysis.pointsGain > 1) {
-      summary.opportunities.push({
+    // In win mode any recommended change is worth it, even one that trades points for variance
+    const win = lineupAnalysis.winProbability;
+    const lineupWorthChanging = win ? lineupAnalysis.recommendations.length > 0 : lineupAnalysis.pointsGain > 1;
+    if (lineupWorthChanging) {
+      summary.opportunities.push(win ? {
+        type: 'lineup_optimization',
+        value: `${(win.current * 100).toFixed(0)}% → ${(win.recommended * 100).toFixed(0)}% win probability vs ${win.opponent.name}`,
+        message: 'Lineup can improve your odds this week',
+        action: 'Make recommended lineup changes below'
+      } : {
         type: 'lineup_optimization',
         value: `+${lineupAnalysis.pointsGain.toFixed(1)} projected points`,
         message: 'Suboptimal lineup detected',
@@ -65,18 +75,34 @@ export class AISummaryService {
             benchProjection: rec.out.projection || 0,
             start: `${rec.in.name} (${rec.in.position})`,
             startProjection: rec.in.projection || 0,
-            improvement: `+${rec.improvement.toFixed(1)} pts`,
-            reason: rec.out.onBye ? 'On BYE' : rec.out.injuryStatus ? `Injured: ${rec.out.injuryStatus}` : 'Better matchup'
+            improvement: `${rec.improvement >= 0 ? '+' : ''}${rec.improvement.toFixed(1)} pts`,
+            reason: rec.out.onBye ? 'On BYE' : rec.out.injuryStatus ? `Injured: ${rec.out.injuryStatus}` :
+              win && rec.improvement < 0 ? (win.riskLevel > 0 ? 'Higher ceiling' : 'Safer floor') : 'Better matchup'
           });
-        } else if (rec.type === 'position_swap') {
-          // Position swap between two starters
+        } else if (rec.type === 'start') {
+          // Fill an empty slot
           summary.lineupChanges.push({
-            bench: `${rec.player.name} at ${rec.fromSlot}`,
+            bench: null,
             benchProjection: null,
-            start: `${rec.player.name} at ${rec.toSlot}`,
-            startProjection: rec.player.projection || 0,
+            start: `${rec.in.name} (${rec.in.position})`,
+            startProjection: rec.in.projection || 0,
             improvement: `+${rec.improvement.toFixed(1)} pts`,
-            reason: 'Position optimization'
+            reason: `Empty ${rec.position} slot`
+          });
+        } else if (rec.type === 'bench') {
+          summary.lineupChanges.push({
+            bench: `${rec.out.name} (${rec.out.position})`,
+            benchProjection: rec.out.projection || 0,
+            start: null,
+            startProjection: null,
+            improvement: `${rec.improvement.toFixed(1)} pts`,
+            reason: null
+          });
+        } else if (rec.type === 'move') {
+          // Slot change between starters - no points on its own
+          const room = rec.makesRoomFor ? ` (makes room for ${rec.makesRoomFor.name})` : '';
+          summary.lineupChanges.push({
+            move: `${rec.player.name} from ${rec.fromSlot} to ${rec.toSlot}${room}`
           });
         }
       });
@@ -105,7 +131,8 @@ export class AISummaryService {
               team: p.team,
               score: p.waiverScore,
               onBye: p.onBye,
-              trending: p.trending
+              trending: p.trending,
+              percentOwned: p.percentOwned ?? null
             }))
           });
         }
@@ -133,7 +160,10 @@ export class AISummaryService {
     }
 
     // Add BYE week planning
-    summary.strategicAdvice.push(`Week ${currentWeek} is an active BYE week - verify all starters are playing`);
+    const teamsOnBye = getTeamsOnBye(currentWeek);
+    if (teamsOnBye.length > 0) {
+      summary.strategicAdvice.push(`Week ${currentWeek} is an active BYE week (${teamsOnBye.join(', ')}) - verify all starters are playing`);
+    }
 
     // Overall assessment
     const totalIssues = summary.criticalIssues.length;
@@ -181,11 +211,21 @@ export class AISummaryService {
     if (summary.lineupChanges.length > 0) {
       lines.push('🔄 RECOMMENDED LINEUP CHANGES:');
       summary.lineupChanges.forEach((change, idx) => {
-        lines.push(`\n${idx + 1}. BENCH: ${change.bench}`);
-        if (change.benchProjection !== null) {
-          lines.push(`          Proj: ${change.benchProjection.toFixed(1)} pts`);
+        if (change.move) {
+          lines.push(`\n${idx + 1}. MOVE: ${change.move}`);
+          return;
+        }
+        lines.push('');
+        if (change.bench) {
+          lines.push(`${idx + 1}. BENCH: ${change.bench}`);
+          if (change.benchProjection !== null) {
+            lines.push(`          Proj: ${change.benchProjection.toFixed(1)} pts`);
+          }
+        }
+        if (change.start) {
+          const prefix = change.bench ? '   ' : `${idx + 1}. `;
+          lines.push(`${prefix}START:  ${change.start} (${change.improvement})`);
         }
-        lines.push(`   START:  ${change.start} (${change.improvement})`);
         if (change.startProjection !== null) {
           lines.push(`          Proj: ${change.startProjection.toFixed(1)} pts`);
         }
@@ -205,6 +245,9 @@ export class AISummaryService {
           const badges = [];
           if (player.trending) badges.push('🔥 TRENDING');
           if (player.onBye) badges.push('BYE');
+          if (player.percentOwned !== null && player.percentOwned !== undefined) {
+            badges.push(`${player.percentOwned.toFixed(0)}% owned`);
+          }
           const badgeStr = badges.length > 0 ? ` [${badges.join(', ')}]` : '';
           lines.push(`   ${idx + 1}. ${player.name} (${player.team}) - Score: ${player.score}${badgeStr}`);
         });
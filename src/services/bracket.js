@@ -0,0 +1,126 @@
+/**
+ * Playoff bracket settings and single-bracket simulation
+ */
+
+/**
+ * Normalize league playoff settings
+ *
+ * Sleeper: playoff_round_type 0 = one week per round, 1 = two-week championship,
+ * 2 = two weeks per round; playoff_seed_type 1 = reseed every round;
+ * loser_bracket_type 1 = toilet bowl (losers advance), otherwise a consolation bracket
+ */
+export function getBracketSettings(league, teamCount) {
+  const settings = league.settings || {};
+  const teams = Math.max(1, Math.min(settings.playoff_teams || Math.floor(teamCount / 2), teamCount));
+  const size = bracketSize(teams);
+  const rounds = Math.round(Math.log2(size));
+
+  const roundLengths = Array.from({ length: rounds }, (_, idx) => {
+    if (settings.playoff_round_type === 2) return 2;
+    if (settings.playoff_round_type === 1 && idx === rounds - 1) return 2;
+    return 1;
+  });
+
+  return {
+    teams,
+    byes: teams > 2 ? size - teams : 0,
+    weekStart: settings.playoff_week_start || 15,
+    roundLengths,
+    reseed: settings.playoff_seed_type === 1,
+    loserBracket: settings.loser_bracket_type === 1 ? 'toilet' : 'consolation'
+  };
+}
+
+/**
+ * Every fantasy playoff week, first round to championship
+ */
+export function getPlayoffWeeks(bracket) {
+  const length = bracket.roundLengths.reduce((sum, len) => sum + len, 0);
+  return Array.from({ length }, (_, idx) => bracket.weekStart + idx);
+}
+
+/**
+ * Smallest power of two that holds every playoff team
+ */
+function bracketSize(teams) {
+  let size = 1;
+  while (size < teams) {
+    size *= 2;
+  }
+  return Math.max(size, 2);
+}
+
+/**
+ * Standard bracket order, so the top seeds can only meet late (8 -> 1,8,4,5,2,7,3,6)
+ */
+export function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+}
+
+/**
+ * Name of a round by the number of teams still alive in it
+ */
+export function getRoundName(teamsAlive) {
+  if (teamsAlive <= 2) return 'Final';
+  if (teamsAlive <= 4) return 'Semifinal';
+  if (teamsAlive <= 8) return 'Quarterfinal';
+  return `Round of ${teamsAlive}`;
+}
+
+/**
+ * Play one bracket
+ *
+ * entrants: rosterIds in seed order (best first)
+ * playGame(id1, id2, roundIdx) => winning rosterId
+ * losersAdvance plays a toilet bowl, where the loser moves on
+ *
+ * Returns { champion, rounds: [{ name, teams, games: [{ teams, winner }] }] }
+ * where a round's teams are everyone still alive in it, including teams on a bye
+ */
+export function playBracket(entrants, { reseed = false, losersAdvance = false } = {}, playGame) {
+  const size = bracketSize(entrants.length);
+  const seedOf = new Map(entrants.map((id, idx) => [id, idx + 1]));
+  const rounds = [];
+
+  // Fixed bracket slots; seeds beyond the field are byes
+  let slots = seedOrder(size).map(seed => entrants[seed - 1] ?? null);
+  let roundIdx = 0;
+
+  while (slots.length > 1) {
+    if (reseed && roundIdx > 0) {
+      // Best remaining seed plays the worst
+      const alive = slots.filter(id => id !== null).sort((a, b) => seedOf.get(a) - seedOf.get(b));
+      slots = [];
+      while (alive.length > 0) {
+        slots.push(alive.shift(), alive.length > 0 ? alive.pop() : null);
+      }
+    }
+
+    const teams = slots.filter(id => id !== null);
+    const round = { name: getRoundName(teams.length), teams, games: [] };
+    const next = [];
+
+    for (let idx = 0; idx < slots.length; idx += 2) {
+      const [a, b] = [slots[idx], slots[idx + 1]];
+      if (a === null || b === null) {
+        next.push(a ?? b);
+        continue;
+      }
+      const winner = playGame(a, b, roundIdx);
+      const advancing = losersAdvance ? (winner === a ? b : a) : winner;
+      round.games.push({ teams: [a, b], winner });
+      next.push(advancing);
+    }
+
+    rounds.push(round);
+    slots = next;
+    roundIdx++;
+  }
+
+  return { champion: slots[0], rounds };
+}
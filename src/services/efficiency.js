@@ -0,0 +1,176 @@
+import { isStartingSlot } from '../data/rosterSlots.js';
+
+const EMPTY_STARTER_ID = '0';
+const PERFECT_TOLERANCE = 0.01; // Points short of optimal still counted as a perfect lineup
+
+/**
+ * Manager efficiency: every completed week's actual starters against the best lineup the
+ * roster could have started, solved with the lineup optimizer on the points players actually scored
+ */
+export class EfficiencyAnalyzer {
+  constructor(api, rosterService, optimizer, standings) {
+    this.api = api;
+    this.rosterService = rosterService;
+    this.optimizer = optimizer;
+    this.standings = standings;
+  }
+
+  /**
+   * Efficiency for every team over the completed weeks, most efficient first
+   */
+  async analyzeEfficiency(leagueId) {
+    const currentWeek = await this.rosterService.getCurrentWeek();
+    const rosters = await this.api.getLeagueRosters(leagueId);
+    const users = await this.api.getLeagueUsers(leagueId).catch(() => []);
+    const rosterPositions = await this.rosterService.getRosterPositions(leagueId);
+    const slots = rosterPositions.filter(isStartingSlot);
+    await this.rosterService.loadPlayers();
+
+    const teams = new Map(rosters.map(roster => {
+      const owner = users.find(u => u.user_id === roster.owner_id);
+      return [roster.roster_id, {
+        rosterId: roster.roster_id,
+        name: owner?.metadata?.team_name || owner?.display_name || `Team ${roster.roster_id}`,
+        weeks: 0,
+        actual: 0,
+        optimal: 0,
+        perfectWeeks: 0,
+        mistakeLosses: []
+      }];
+    }));
+
+    const allMatchups = await this.standings.getSeasonMatchups(leagueId, currentWeek);
+    for (let idx = 0; idx < allMatchups.length; idx++) {
+      const week = idx + 1;
+      const pairs = new Map();
+      (allMatchups[idx] || []).forEach(matchup => {
+        // Teams out of the playoffs have no matchup - their lineups don't count
+        if (matchup.matchup_id === null || matchup.matchup_id === undefined || !matchup.players_points) return;
+        if (!pairs.has(matchup.matchup_id)) pairs.set(matchup.matchup_id, []);
+        pairs.get(matchup.matchup_id).push(matchup);
+      });
+
+      for (const pair of pairs.values()) {
+        if (pair.length !== 2 || pair.every(m => !m.points)) continue;
+        const reviews = [];
+        for (const matchup of pair) {
+          reviews.push({ matchup, ...await this.reviewLineup(leagueId, matchup, slots) });
+        }
+
+        reviews.forEach((review, side) => {
+          const team = teams.get(review.matchup.roster_id);
+          if (!team) return;
+          const opponent = reviews[1 - side];
+          const score = review.matchup.points ?? review.actual;
+          const against = opponent.matchup.points ?? opponent.actual;
+          const benched = review.optimal - review.actual;
+
+          team.weeks++;
+          team.actual += review.actual;
+          team.optimal += review.optimal;
+          if (benched <= PERFECT_TOLERANCE) team.perfectWeeks++;
+
+          // The best lineup would have outscored what the opponent actually put up
+          if (score < against && score + benched > against) {
+            team.mistakeLosses.push({
+              week,
+              score,
+              against,
+              optimal: score + benched,
+              opponent: teams.get(opponent.matchup.roster_id)?.name || `Team ${opponent.matchup.roster_id}`,
+              changes: review.changes
+            });
+          }
+        });
+      }
+    }
+
+    return [...teams.values()]
+      .filter(team => team.weeks > 0)
+      .map(team => ({
+        ...team,
+        efficiency: team.optimal > 0 ? team.actual / team.optimal : 1,
+        pointsLeft: team.optimal - team.actual
+      }))
+      .sort((a, b) => b.efficiency - a.efficiency);
+  }
+
+  /**
+   * Actual starter points against the optimal lineup from the week's full roster
+   * Returns { actual, optimal, changes } with changes the swaps that would have reached optimal
+   */
+  async reviewLineup(leagueId, matchup, slots) {
+    const points = matchup.players_points || {};
+    const toPlayer = playerId => {
+      const player = this.rosterService.getPlayer(playerId);
+      return {
+        playerId,
+        name: player?.full_name || 'Unknown',
+        position: player?.position || 'N/A',
+        team: player?.team || 'FA',
+        injuryStatus: null,
+        onBye: false,
+        realProjection: points[playerId] ?? 0
+      };
+    };
+
+    const starterIds = (matchup.starters || []).map(playerId => playerId || EMPTY_STARTER_ID);
+    const starters = starterIds.map(toPlayer);
+    const bench = (matchup.players || []).filter(playerId => !starterIds.includes(playerId)).map(toPlayer);
+
+    const optimal = await this.optimizer.optimizeLineup(leagueId, { starters, bench }, { alternatives: false });
+    const currentSlots = this.optimizer.getCurrentSlots(
+      starters.map((player, idx) => ({ ...player, slotPosition: matchup.starter_slots?.[idx] || null })),
+      slots
+    );
+    const currentStarters = starters
+      .filter(player => currentSlots.has(player.playerId))
+      .map(player => ({ ...player, slotPosition: currentSlots.get(player.playerId), projection: player.realProjection }));
+    const actual = currentStarters.reduce((sum, player) => sum + player.projection, 0);
+
+    // Unknown positions can make the solver miss a lineup that was actually started
+    const best = Math.max(optimal.totalProjectedPoints, actual);
+    return {
+      actual,
+      optimal: best,
+      changes: best > actual ?
+        this.optimizer.diffLineups(currentStarters, optimal.lineup).filter(op => op.type === 'swap' || op.type === 'start') :
+        []
+    };
+  }
+
+  /**
+   * Format the efficiency table and the user's costliest lineup mistakes
+   */
+  formatEfficiency(teams, userRosterId) {
+    const lines = [];
+    const weeks = Math.max(...teams.map(team => team.weeks));
+
+    lines.push(`\n🎯 MANAGER EFFICIENCY (actual starters vs best possible lineup, ${weeks} week${weeks === 1 ? '' : 's'}):`);
+    lines.push(`Rank  ${'Team'.padEnd(26)}${'Eff%'.padStart(6)}${'Actual'.padStart(9)}${'Optimal'.padStart(9)}${'Benched'.padStart(9)}${'Perfect'.padStart(9)}${'Lost by lineup'.padStart(16)}`);
+    lines.push('─'.repeat(85));
+    teams.forEach((team, idx) => {
+      const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+      const rank = `${idx + 1}.`.padEnd(5);
+      const name = team.name.padEnd(24).substring(0, 24);
+      lines.push(`${marker}${rank} ${name}${(team.efficiency * 100).toFixed(1).padStart(6)}${team.actual.toFixed(1).padStart(9)}${team.optimal.toFixed(1).padStart(9)}${team.pointsLeft.toFixed(1).padStart(9)}${`${team.perfectWeeks}/${team.weeks}`.padStart(9)}${String(team.mistakeLosses.length).padStart(16)}`);
+    });
+    lines.push('Benched: points the best lineup would have added. Perfect: weeks with the best lineup started. Lost by lineup: losses the best lineup would have won.');
+
+    const user = teams.find(team => team.rosterId === userRosterId);
+    if (user?.mistakeLosses.length > 0) {
+      lines.push('\nYOUR LOSSES FROM LINEUP MISTAKES:');
+      user.mistakeLosses.forEach(loss => {
+        lines.push(`  Week ${loss.week}: lost ${loss.score.toFixed(1)}-${loss.against.toFixed(1)} to ${loss.opponent} - the best lineup scored ${loss.optimal.toFixed(1)}`);
+        loss.changes.forEach(change => {
+          const text = change.type === 'swap' ?
+            `Start ${change.in.name} (${change.in.projection.toFixed(1)}) over ${change.out.name} (${change.out.projection.toFixed(1)})` :
+            `Start ${change.in.name} (${change.in.projection.toFixed(1)}) in the empty ${change.position} slot`;
+          lines.push(`    • ${text}`);
+        });
+      });
+    }
+
+    return lines.join('\n');
+  }
+}
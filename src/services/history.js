@@ -0,0 +1,403 @@
+import { CACHE_TTL } from '../api/cache.js';
+import { getActiveSeason } from '../data/byeWeeks.js';
+import { getBracketSettings } from './bracket.js';
+import { getTiebreakers, rankRecords, usesMedianScoring, winPct } from './tiebreakers.js';
+
+const MAX_SEASONS = 30; // Guards against a previous_league_id loop
+
+/**
+ * W-L record, with ties only when there are any
+ */
+function formatRecord(wins, losses, ties) {
+  return `${wins}-${losses}${ties > 0 ? `-${ties}` : ''}`;
+}
+
+/**
+ * 1 -> 1st, 2 -> 2nd, 11 -> 11th
+ */
+function ordinal(place) {
+  const suffix = place % 100 > 10 && place % 100 < 14 ? 'th' : ['th', 'st', 'nd', 'rd'][place % 10] || 'th';
+  return `${place}${suffix}`;
+}
+
+/**
+ * Multi-season league archive
+ * Walks Sleeper's previous_league_id chain back through past seasons and summarizes each one
+ * (standings, playoff finish, champion, every game), then rolls them up by manager for
+ * all-time records, head-to-head rivalries and franchise histories
+ * Finished seasons never change, so their summaries are cached permanently
+ */
+export class LeagueHistory {
+  constructor(api, rosterService, standings, cache = null) {
+    this.api = api;
+    this.rosterService = rosterService;
+    this.standings = standings;
+    this.cache = cache;
+  }
+
+  /**
+   * Load every season of a league, newest first: { seasons, managers }
+   */
+  async loadArchive(leagueId) {
+    const seasons = [];
+    const seen = new Set();
+    let id = leagueId;
+
+    while (id && id !== '0' && !seen.has(id) && seasons.length < MAX_SEASONS) {
+      seen.add(id);
+      const league = await this.api.getLeague(id).catch(() => null);
+      if (!league) break;
+      seasons.push(await this.loadSeason(league));
+      id = league.previous_league_id;
+    }
+
+    return { seasons, managers: this.buildManagers(seasons) };
+  }
+
+  /**
+   * Summarize one season, from the cache once it's over
+   */
+  async loadSeason(league) {
+    const completed = league.status === 'complete' || parseInt(league.season) < getActiveSeason();
+    if (!completed || !this.cache) {
+      return await this.summarizeSeason(league, completed);
+    }
+    return await this.cache.fetch(`history/league_${league.league_id}`, CACHE_TTL.FOREVER,
+      () => this.summarizeSeason(league, completed));
+  }
+
+  /**
+   * Final (or current) standings, playoff finishes and every game of a season
+   * Games: [{ week, playoff, place, teams: [{ rosterId, ownerId, points }], winner }] where a
+   * playoff game's points add up every week of its round and winner is null on a tie
+   */
+  async summarizeSeason(league, completed) {
+    const leagueId = league.league_id;
+    const rosters = await this.api.getLeagueRosters(leagueId);
+    const users = await this.api.getLeagueUsers(leagueId).catch(() => []);
+    const bracket = getBracketSettings(league, rosters.length);
+    const lastWeek = bracket.weekStart + bracket.roundLengths.reduce((sum, len) => sum + len, 0) - 1;
+
+    // An unfinished season only counts the weeks already played
+    const playedThrough = completed ? lastWeek : Math.min(lastWeek, await this.rosterService.getCurrentWeek() - 1);
+    const weeks = await Promise.all(Array.from({ length: Math.max(0, playedThrough) }, (_, idx) =>
+      this.api.getMatchups(leagueId, idx + 1, { completed }).catch(() => [])
+    ));
+
+    const owners = new Map(rosters.map(roster => [roster.roster_id, roster.owner_id || null]));
+    const regularSeason = weeks.slice(0, bracket.weekStart - 1);
+    const records = this.standings.calculateRecords(rosters, regularSeason, { median: usesMedianScoring(league) });
+    const ranked = rankRecords(Object.values(records), getTiebreakers(league));
+
+    const games = regularSeason.flatMap((weekMatchups, idx) => this.getWeekGames(weekMatchups, idx + 1, owners));
+
+    // Playoff results come from the bracket; places decided: 1 = title game, 3 = third place, ...
+    const winnersBracket = completed || playedThrough >= bracket.weekStart ?
+      await this.api.getWinnersBracket(leagueId, { completed }).catch(() => []) :
+      [];
+    const roundStart = round => bracket.weekStart + bracket.roundLengths.slice(0, round - 1).reduce((sum, len) => sum + len, 0);
+    const pointsIn = (rosterId, firstWeek, length) => weeks.slice(firstWeek - 1, firstWeek - 1 + length)
+      .reduce((sum, weekMatchups) => sum + (weekMatchups.find(m => m.roster_id === rosterId)?.points || 0), 0);
+
+    const placements = {};
+    const playoffTeams = new Set();
+    winnersBracket.forEach(match => {
+      [match.t1, match.t2].forEach(rosterId => Number.isInteger(rosterId) && playoffTeams.add(rosterId));
+      if (!match.w || !match.l) return;
+
+      const firstWeek = roundStart(match.r);
+      const length = bracket.roundLengths[match.r - 1] || 1;
+      games.push({
+        week: firstWeek,
+        playoff: true,
+        place: match.p ?? null,
+        teams: [match.w, match.l].map(rosterId => ({
+          rosterId,
+          ownerId: owners.get(rosterId) ?? null,
+          points: pointsIn(rosterId, firstWeek, length)
+        })),
+        winner: match.w
+      });
+
+      if (match.p) {
+        placements[match.w] = match.p;
+        placements[match.l] = match.p + 1;
+      }
+    });
+
+    const metadataChampion = parseInt(league.metadata?.latest_league_winner_roster_id);
+    const championId = Object.keys(placements).map(Number).find(rosterId => placements[rosterId] === 1) ??
+      (completed && !isNaN(metadataChampion) ? metadataChampion : null);
+    const runnerUpId = Object.keys(placements).map(Number).find(rosterId => placements[rosterId] === 2) ?? null;
+
+    const teams = ranked.map((record, idx) => {
+      const user = users.find(u => u.user_id === record.ownerId);
+      return {
+        rosterId: record.rosterId,
+        ownerId: record.ownerId || null,
+        teamName: user?.metadata?.team_name || user?.display_name || `Team ${record.rosterId}`,
+        managerName: user?.display_name || 'Unknown',
+        wins: record.wins,
+        losses: record.losses,
+        ties: record.ties,
+        pointsFor: record.pointsFor,
+        pointsAgainst: record.pointsAgainst,
+        rank: idx + 1,
+        madePlayoffs: playoffTeams.has(record.rosterId),
+        finish: placements[record.rosterId] ?? (record.rosterId === championId ? 1 : null)
+      };
+    });
+
+    const byRoster = rosterId => teams.find(team => team.rosterId === rosterId) || null;
+    return {
+      leagueId,
+      season: parseInt(league.season),
+      name: league.name,
+      completed,
+      playoffTeams: bracket.teams,
+      teams,
+      games,
+      champion: championId !== null ? byRoster(championId) : null,
+      runnerUp: runnerUpId !== null ? byRoster(runnerUpId) : null
+    };
+  }
+
+  /**
+   * Played head-to-head games in one week's matchups
+   */
+  getWeekGames(weekMatchups, week, owners) {
+    const groups = new Map();
+    (weekMatchups || []).forEach(matchup => {
+      if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+      if (!groups.has(matchup.matchup_id)) groups.set(matchup.matchup_id, []);
+      groups.get(matchup.matchup_id).push(matchup);
+    });
+
+    return [...groups.values()]
+      .filter(pair => pair.length === 2 && pair.some(m => (m.points || 0) > 0))
+      .map(([a, b]) => ({
+        week,
+        playoff: false,
+        place: null,
+        teams: [a, b].map(m => ({ rosterId: m.roster_id, ownerId: owners.get(m.roster_id) ?? null, points: m.points || 0 })),
+        winner: a.points > b.points ? a.roster_id : b.points > a.points ? b.roster_id : null
+      }));
+  }
+
+  /**
+   * Roll seasons up by manager (owner ID): Map(ownerId -> all-time record, titles and seasons)
+   * Names come from the manager's most recent season
+   */
+  buildManagers(seasons) {
+    const managers = new Map();
+
+    seasons.forEach(season => {
+      season.teams.forEach(team => {
+        if (!team.ownerId) return;
+        if (!managers.has(team.ownerId)) {
+          managers.set(team.ownerId, {
+            ownerId: team.ownerId,
+            name: team.managerName,
+            teamName: team.teamName,
+            seasons: [],
+            wins: 0,
+            losses: 0,
+            ties: 0,
+            pointsFor: 0,
+            pointsAgainst: 0,
+            games: 0,
+            playoffAppearances: 0,
+            playoffWins: 0,
+            playoffLosses: 0,
+            titles: 0,
+            runnerUps: 0,
+            bestFinish: null,
+            highScore: null
+          });
+        }
+
+        const manager = managers.get(team.ownerId);
+        manager.seasons.push({ season: season.season, completed: season.completed, teamCount: season.teams.length, ...team });
+        manager.wins += team.wins;
+        manager.losses += team.losses;
+        manager.ties += team.ties;
+        manager.pointsFor += team.pointsFor;
+        manager.pointsAgainst += team.pointsAgainst;
+        manager.playoffAppearances += team.madePlayoffs ? 1 : 0;
+        manager.titles += team.finish === 1 ? 1 : 0;
+        manager.runnerUps += team.finish === 2 ? 1 : 0;
+        if (team.finish !== null && (manager.bestFinish === null || team.finish < manager.bestFinish)) {
+          manager.bestFinish = team.finish;
+        }
+      });
+
+      season.games.forEach(game => {
+        game.teams.forEach(side => {
+          const manager = managers.get(side.ownerId);
+          if (!manager) return;
+          if (game.playoff) {
+            manager[game.winner === side.rosterId ? 'playoffWins' : 'playoffLosses']++;
+            return;
+          }
+          manager.games++;
+          if (!manager.highScore || side.points > manager.highScore.points) {
+            manager.highScore = { points: side.points, season: season.season, week: game.week };
+          }
+        });
+      });
+    });
+
+    return managers;
+  }
+
+  /**
+   * A manager's head-to-head record against every other manager, most-played first
+   * Regular season and playoff games both count; playoff results are also kept apart
+   */
+  getRivalries(archive, ownerId) {
+    const rivals = new Map();
+    const chronological = [...archive.seasons].sort((a, b) => a.season - b.season);
+
+    chronological.forEach(season => {
+      [...season.games].sort((a, b) => a.week - b.week).forEach(game => {
+        const mine = game.teams.find(side => side.ownerId === ownerId);
+        const theirs = game.teams.find(side => side !== mine);
+        if (!mine || !theirs?.ownerId || theirs.ownerId === ownerId) return;
+
+        if (!rivals.has(theirs.ownerId)) {
+          rivals.set(theirs.ownerId, {
+            ownerId: theirs.ownerId,
+            name: archive.managers.get(theirs.ownerId)?.name || 'Unknown',
+            wins: 0,
+            losses: 0,
+            ties: 0,
+            pointsFor: 0,
+            pointsAgainst: 0,
+            playoffWins: 0,
+            playoffLosses: 0,
+            streak: null,
+            lastMeeting: null
+          });
+        }
+
+        const rival = rivals.get(theirs.ownerId);
+        const outcome = game.winner === null ? 'ties' : game.winner === mine.rosterId ? 'wins' : 'losses';
+        rival[outcome]++;
+        rival.pointsFor += mine.points;
+        rival.pointsAgainst += theirs.points;
+        if (game.playoff && outcome !== 'ties') {
+          rival[outcome === 'wins' ? 'playoffWins' : 'playoffLosses']++;
+        }
+
+        const letter = { wins: 'W', losses: 'L', ties: 'T' }[outcome];
+        rival.streak = rival.streak?.result === letter ? { result: letter, length: rival.streak.length + 1 } : { result: letter, length: 1 };
+        rival.lastMeeting = { season: season.season, week: game.week, playoff: game.playoff, points: mine.points, against: theirs.points };
+      });
+    });
+
+    return [...rivals.values()].sort((a, b) =>
+      (b.wins + b.losses + b.ties) - (a.wins + a.losses + a.ties) || winPct(b.wins, b.losses, b.ties) - winPct(a.wins, a.losses, a.ties)
+    );
+  }
+
+  /**
+   * Find a manager by (part of) their name or a team name they've used
+   */
+  findManager(archive, query) {
+    const needle = query.trim().toLowerCase();
+    const names = manager => [manager.name, ...manager.seasons.map(season => season.teamName)]
+      .map(name => (name || '').toLowerCase());
+    const managers = [...archive.managers.values()];
+
+    const exact = managers.filter(manager => names(manager).includes(needle));
+    const matches = exact.length > 0 ? exact : managers.filter(manager => names(manager).some(name => name.includes(needle)));
+
+    if (matches.length === 0) {
+      throw new Error(`No manager matches '${query}'`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`'${query}' matches several managers (${matches.map(m => m.name).join(', ')})`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Format the league's seasons and all-time records
+   */
+  formatHistory(archive, userOwnerId) {
+    const lines = [];
+
+    lines.push(`📜 LEAGUE HISTORY (${archive.seasons.length} season${archive.seasons.length === 1 ? '' : 's'}):`);
+    lines.push(`${'Season'.padEnd(8)}${'Champion'.padEnd(27)}${'Runner-up'.padEnd(27)}Regular season #1`);
+    lines.push('─'.repeat(85));
+    archive.seasons.forEach(season => {
+      const champion = season.champion ? season.champion.teamName : season.completed ? '-' : '(in progress)';
+      const runnerUp = season.runnerUp ? season.runnerUp.teamName : '-';
+      const leader = season.teams[0] ? `${season.teams[0].teamName} (${formatRecord(season.teams[0].wins, season.teams[0].losses, season.teams[0].ties)})` : '-';
+      lines.push(`${String(season.season).padEnd(8)}${champion.padEnd(26).substring(0, 26)} ${runnerUp.padEnd(26).substring(0, 26)} ${leader}`);
+    });
+
+    const managers = [...archive.managers.values()].sort((a, b) =>
+      b.titles - a.titles || winPct(b.wins, b.losses, b.ties) - winPct(a.wins, a.losses, a.ties)
+    );
+
+    lines.push('\n🏆 ALL-TIME RECORDS (regular season; playoffs and titles separately):');
+    lines.push(`Rank  ${'Manager'.padEnd(22)}${'Seasons'.padStart(7)}${'W-L-T'.padStart(11)}${'Win%'.padStart(7)}${'PF/G'.padStart(8)}${'Playoffs'.padStart(10)}${'Playoff W-L'.padStart(13)}${'Titles'.padStart(8)}${'Best'.padStart(6)}`);
+    lines.push('─'.repeat(98));
+    managers.forEach((manager, idx) => {
+      const marker = manager.ownerId === userOwnerId ? '→ ' : '  ';
+      const rank = `${idx + 1}.`.padEnd(4);
+      const name = manager.name.padEnd(20).substring(0, 20);
+      const pct = winPct(manager.wins, manager.losses, manager.ties).toFixed(3).replace(/^0/, '');
+      const ppg = manager.games > 0 ? (manager.pointsFor / manager.games).toFixed(1) : '-';
+      lines.push(`${marker}${rank}${name}${String(manager.seasons.length).padStart(9)}${formatRecord(manager.wins, manager.losses, manager.ties).padStart(11)}${pct.padStart(7)}${ppg.padStart(8)}${String(manager.playoffAppearances).padStart(10)}${`${manager.playoffWins}-${manager.playoffLosses}`.padStart(13)}${String(manager.titles).padStart(8)}${(manager.bestFinish === null ? '-' : ordinal(manager.bestFinish)).padStart(6)}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format one manager's franchise page: season by season, highlights and rivalries
+   */
+  formatFranchise(archive, ownerId) {
+    const manager = archive.managers.get(ownerId);
+    if (!manager) {
+      return 'No franchise history for this manager';
+    }
+
+    const lines = [];
+
+    lines.push(`🏈 FRANCHISE HISTORY: ${manager.name} (${manager.teamName})`);
+    lines.push(`${formatRecord(manager.wins, manager.losses, manager.ties)} all-time, ${manager.playoffAppearances} playoff appearance${manager.playoffAppearances === 1 ? '' : 's'}, ${manager.titles} title${manager.titles === 1 ? '' : 's'}${manager.runnerUps > 0 ? `, ${manager.runnerUps} runner-up` : ''}`);
+    if (manager.highScore) {
+      lines.push(`Highest score: ${manager.highScore.points.toFixed(1)} (${manager.highScore.season} week ${manager.highScore.week})`);
+    }
+
+    lines.push('');
+    lines.push(`${'Season'.padEnd(8)}${'Team'.padEnd(26)}${'W-L-T'.padStart(8)}${'PF'.padStart(9)}${'PA'.padStart(9)}${'Seed'.padStart(7)}  Finish`);
+    lines.push('─'.repeat(80));
+    manager.seasons.forEach(season => {
+      const finish = season.finish === 1 ? '🏆 Champion' :
+        season.finish !== null ? ordinal(season.finish) :
+        !season.completed ? 'In progress' :
+        season.madePlayoffs ? 'Playoffs' : 'Missed playoffs';
+      lines.push(`${String(season.season).padEnd(8)}${season.teamName.padEnd(25).substring(0, 25)} ${formatRecord(season.wins, season.losses, season.ties).padStart(8)}${season.pointsFor.toFixed(1).padStart(9)}${season.pointsAgainst.toFixed(1).padStart(9)}${`${season.rank}/${season.teamCount}`.padStart(7)}  ${finish}`);
+    });
+
+    const rivalries = this.getRivalries(archive, ownerId);
+    if (rivalries.length > 0) {
+      lines.push('\n⚔️  HEAD-TO-HEAD:');
+      lines.push(`${'Manager'.padEnd(22)}${'W-L-T'.padStart(8)}${'PF/G'.padStart(8)}${'PA/G'.padStart(8)}${'Playoffs'.padStart(10)}${'Streak'.padStart(8)}  Last meeting`);
+      lines.push('─'.repeat(95));
+      rivalries.forEach(rival => {
+        const games = rival.wins + rival.losses + rival.ties;
+        const last = rival.lastMeeting;
+        const lastText = `${last.season} wk ${last.week}${last.playoff ? ' (playoffs)' : ''}, ${last.points.toFixed(1)}-${last.against.toFixed(1)}`;
+        const playoffs = rival.playoffWins + rival.playoffLosses > 0 ? `${rival.playoffWins}-${rival.playoffLosses}` : '-';
+        lines.push(`${rival.name.padEnd(21).substring(0, 21)} ${formatRecord(rival.wins, rival.losses, rival.ties).padStart(8)}${(rival.pointsFor / games).toFixed(1).padStart(8)}${(rival.pointsAgainst / games).toFixed(1).padStart(8)}${playoffs.padStart(10)}${`${rival.streak.result}${rival.streak.length}`.padStart(8)}  ${lastText}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,115 @@
+import { isEligibleForSlot } from '../data/rosterSlots.js';
+
+// Assignment weights: leaving a slot empty is always worse than any eligible
+// player, and an ineligible placement is never chosen
+const EMPTY_SLOT_WEIGHT = -1e6;
+const INELIGIBLE_WEIGHT = -1e9;
+
+/**
+ * Solve a min-cost assignment (Hungarian algorithm, O(n^2 m))
+ * cost is an n x m matrix with n <= m; returns the column assigned to each row
+ */
+export function solveAssignment(cost) {
+  const n = cost.length;
+  const m = n > 0 ? cost[0].length : 0;
+  if (n === 0) return [];
+
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);   // p[j] = row matched to column j (1-based)
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const rowToColumn = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (p[j]) rowToColumn[p[j] - 1] = j - 1;
+  }
+  return rowToColumn;
+}
+
+/**
+ * Find the lineup with the maximum total value
+ *
+ * players: [{ playerId, position, ... }]
+ * slots:   starting slot names in roster order (e.g. ['QB', 'RB', 'RB', 'FLEX'])
+ * options.value:     player => value to maximize (default: player.projection)
+ * options.banned:    Set of playerIds that may not start
+ * options.slotBonus: (player, slot) => tie-break weight added to the objective
+ *                    but not to the reported total (e.g. prefer current slots)
+ *
+ * Returns { assignment, total } where assignment[i] is the player in slots[i] (or null)
+ */
+export function solveLineup(players, slots, options = {}) {
+  const value = options.value || (player => player.projection || 0);
+  const banned = options.banned || new Set();
+  const slotBonus = options.slotBonus || (() => 0);
+
+  // Columns: every player, plus one "empty" column per slot so every slot can be filled
+  const columns = players.length + slots.length;
+  const cost = slots.map((slot, slotIdx) => {
+    const row = new Array(columns);
+    players.forEach((player, playerIdx) => {
+      const eligible = !banned.has(player.playerId) && isEligibleForSlot(player.position, slot);
+      row[playerIdx] = -(eligible ? value(player) + slotBonus(player, slot) : INELIGIBLE_WEIGHT);
+    });
+    for (let e = 0; e < slots.length; e++) {
+      row[players.length + e] = e === slotIdx ? -EMPTY_SLOT_WEIGHT : -INELIGIBLE_WEIGHT;
+    }
+    return row;
+  });
+
+  const rowToColumn = solveAssignment(cost);
+
+  let total = 0;
+  const assignment = rowToColumn.map(column => {
+    if (column < 0 || column >= players.length) return null;
+    const player = players[column];
+    total += value(player);
+    return player;
+  });
+
+  return { assignment, total };
+}
@@ -0,0 +1,182 @@
+import { isOnBye } from '../data/byeWeeks.js';
+import { getGameProgress, getGameWindow } from '../data/nflCalendar.js';
+import { getBasePoints, getPointsStdDev, isPlayerUnavailable } from '../data/scoringConstants.js';
+import { winProbability } from './winProbability.js';
+
+const EMPTY_STARTER_ID = '0';
+
+/**
+ * Live game-day scores: running totals, players still to play, remaining projected points
+ * and an in-game win probability for every matchup in a week
+ */
+export class LiveScoreTracker {
+  constructor(api, rosterService) {
+    this.api = api;
+    this.rosterService = rosterService;
+  }
+
+  /**
+   * Score every matchup in a week as of now
+   * Returns { week, updatedAt, games: [{ matchupId, teams: [team, team], winProbability }] }
+   * with winProbability the first team's chance
+   */
+  async getScoreboard(leagueId, week, now = Date.now()) {
+    const matchups = await this.api.getMatchups(leagueId, week, { live: true });
+    const rosters = await this.api.getLeagueRosters(leagueId);
+    const users = await this.api.getLeagueUsers(leagueId).catch(() => []);
+    const projections = await this.rosterService.loadProjections(leagueId, week);
+    await this.rosterService.loadPlayers();
+
+    const weekOver = getGameWindow(week, now).over;
+    const names = new Map(rosters.map(roster => {
+      const owner = users.find(u => u.user_id === roster.owner_id);
+      return [roster.roster_id, owner?.metadata?.team_name || owner?.display_name || `Team ${roster.roster_id}`];
+    }));
+
+    const byMatchup = new Map();
+    matchups.forEach(matchup => {
+      if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+      const team = this.scoreTeam(matchup, names.get(matchup.roster_id), projections, week, now, weekOver);
+      if (!byMatchup.has(matchup.matchup_id)) byMatchup.set(matchup.matchup_id, []);
+      byMatchup.get(matchup.matchup_id).push(team);
+    });
+
+    const games = [...byMatchup.entries()]
+      .filter(([, teams]) => teams.length === 2)
+      .map(([matchupId, teams]) => ({
+        matchupId,
+        teams,
+        winProbability: winProbability(
+          { mean: teams[0].projected, stdDev: teams[0].stdDev },
+          { mean: teams[1].projected, stdDev: teams[1].stdDev }
+        )
+      }));
+
+    return { week, updatedAt: now, games };
+  }
+
+  /**
+   * One team's running score and what its starters can still add
+   * A starter's projection shrinks with the share of their game played; without a known
+   * kickoff they count as yet to play until the week is over. Byes and ruled-out players are done
+   */
+  scoreTeam(matchup, name, projections, week, now, weekOver) {
+    const players = (matchup.starters || [])
+      .filter(playerId => playerId && playerId !== EMPTY_STARTER_ID)
+      .map(playerId => {
+        const player = this.rosterService.getPlayer(playerId);
+        const team = player?.team || 'FA';
+        const position = player?.position || 'N/A';
+        const done = isOnBye(team, week) || isPlayerUnavailable(player?.injury_status);
+        const progress = done ? 1 : getGameProgress(team, week, now) ?? (weekOver ? 1 : 0);
+        const projection = projections[playerId] ?? player?.projected_points ?? getBasePoints(position);
+        const left = 1 - progress;
+
+        return {
+          playerId,
+          name: player?.full_name || 'Unknown',
+          position,
+          team,
+          points: matchup.players_points?.[playerId] ?? 0,
+          status: progress >= 1 ? 'final' : progress > 0 ? 'playing' : 'pre',
+          remaining: projection * left,
+          stdDev: getPointsStdDev(position, projection) * Math.sqrt(left)
+        };
+      });
+
+    const points = matchup.points ?? players.reduce((sum, player) => sum + player.points, 0);
+    const remaining = players.reduce((sum, player) => sum + player.remaining, 0);
+
+    return {
+      rosterId: matchup.roster_id,
+      name,
+      points,
+      remaining,
+      projected: points + remaining,
+      stdDev: Math.sqrt(players.reduce((sum, player) => sum + player.stdDev ** 2, 0)),
+      players,
+      playing: players.filter(player => player.status === 'playing'),
+      yetToPlay: players.filter(player => player.status === 'pre')
+    };
+  }
+
+  /**
+   * Games whose leader changed since the previous scoreboard: [{ game, leader, trailer }]
+   * A game that goes from tied to led counts; a lead that becomes a tie doesn't
+   */
+  findLeadChanges(previous, current) {
+    if (!previous) return [];
+    const leaderOf = game => {
+      const [a, b] = game.teams;
+      return a.points > b.points ? a : b.points > a.points ? b : null;
+    };
+
+    return current.games.flatMap(game => {
+      const before = previous.games.find(g => g.matchupId === game.matchupId);
+      const leader = leaderOf(game);
+      if (!before || !leader) return [];
+      const previousLeader = leaderOf(before);
+      if (previousLeader?.rosterId === leader.rosterId) return [];
+      return [{ game, leader, trailer: game.teams.find(team => team !== leader) }];
+    });
+  }
+
+  /**
+   * Format a lead change as a notification line (rings the terminal bell)
+   */
+  formatLeadChange({ leader, trailer }) {
+    return `\u0007🔔 LEAD CHANGE: ${leader.name} leads ${trailer.name} ${leader.points.toFixed(1)}-${trailer.points.toFixed(1)}`;
+  }
+
+  /**
+   * Format the scoreboard: the user's matchup in detail, then every other game on one line each
+   * options.league shows the rest of the league's games
+   */
+  formatScoreboard(scoreboard, rosterId, options = {}) {
+    const lines = [];
+    const pct = value => `${(value * 100).toFixed(0)}%`;
+    const time = new Date(scoreboard.updatedAt).toLocaleTimeString();
+
+    // The user's team first in their own game
+    const oriented = scoreboard.games.map(game => game.teams[1].rosterId === rosterId ?
+      { ...game, teams: [game.teams[1], game.teams[0]], winProbability: 1 - game.winProbability } :
+      game);
+    const mine = oriented.find(game => game.teams[0].rosterId === rosterId);
+
+    lines.push(`📺 WEEK ${scoreboard.week} LIVE SCORES (updated ${time})`);
+
+    if (mine) {
+      lines.push('');
+      lines.push(`${'Team'.padEnd(26)}${'Score'.padStart(7)}${'Left'.padStart(8)}${'Proj'.padStart(8)}${'Playing'.padStart(9)}${'To play'.padStart(9)}${'Win %'.padStart(7)}`);
+      lines.push('─'.repeat(74));
+      mine.teams.forEach((team, idx) => {
+        const chance = idx === 0 ? mine.winProbability : 1 - mine.winProbability;
+        lines.push(`${team.name.padEnd(25).substring(0, 25)} ${team.points.toFixed(1).padStart(7)}${team.remaining.toFixed(1).padStart(8)}${team.projected.toFixed(1).padStart(8)}${String(team.playing.length).padStart(9)}${String(team.yetToPlay.length).padStart(9)}${pct(chance).padStart(7)}`);
+      });
+
+      mine.teams.forEach((team, idx) => {
+        const waiting = [...team.playing, ...team.yetToPlay];
+        if (waiting.length === 0) return;
+        lines.push(`\n${idx === 0 ? 'YOUR' : 'THEIR'} PLAYERS STILL TO SCORE:`);
+        waiting.forEach(player => {
+          const state = player.status === 'playing' ? `playing, ${player.points.toFixed(1)} so far` : 'yet to play';
+          lines.push(`  • ${player.name} (${player.position}, ${player.team}) - ${state}, ${player.remaining.toFixed(1)} projected to come`);
+        });
+      });
+    } else {
+      lines.push('No matchup for your team this week');
+    }
+
+    const others = oriented.filter(game => game !== mine);
+    if (options.league && others.length > 0) {
+      lines.push('\nAROUND THE LEAGUE:');
+      others.forEach(game => {
+        const [a, b] = game.teams;
+        const favorite = game.winProbability >= 0.5 ? `${a.name} ${pct(game.winProbability)}` : `${b.name} ${pct(1 - game.winProbability)}`;
+        lines.push(`  ${a.name} ${a.points.toFixed(1)} - ${b.points.toFixed(1)} ${b.name}  (proj ${a.projected.toFixed(1)}-${b.projected.toFixed(1)}, ${favorite})`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,175 @@
+import { isPlayerLikelyOut, isPlayerUnavailable } from '../data/scoringConstants.js';
+import { isStartingSlot } from '../data/rosterSlots.js';
+import { lineupDistribution, winProbability } from './winProbability.js';
+
+const SWING_PLAYERS = 3; // Opponent players listed as the biggest threats
+
+/**
+ * This week's head-to-head preview: both optimal lineups slot by slot, projected totals,
+ * win probability, bye and injury problems, and the opponent players that swing the result
+ */
+export class MatchupAnalyzer {
+  constructor(api, rosterService, optimizer) {
+    this.api = api;
+    this.rosterService = rosterService;
+    this.optimizer = optimizer;
+  }
+
+  /**
+   * Preview the current week's matchup for a roster (null on a bye or without matchups)
+   */
+  async previewMatchup(leagueId, roster) {
+    const week = await this.rosterService.getCurrentWeek();
+    const opponentRoster = await this.rosterService.getOpponentRoster(roster, leagueId, week);
+    if (!opponentRoster) {
+      return null;
+    }
+
+    const users = await this.api.getLeagueUsers(leagueId).catch(() => []);
+    const owner = users.find(u => u.user_id === roster.owner_id);
+    const rosterPositions = await this.rosterService.getRosterPositions(leagueId);
+    const slots = rosterPositions.filter(isStartingSlot);
+
+    const you = await this.projectSide(leagueId, { ...roster, league_id: leagueId },
+      owner?.metadata?.team_name || owner?.display_name || `Team ${roster.roster_id}`);
+    const opponent = await this.projectSide(leagueId, opponentRoster, opponentRoster.ownerName);
+
+    const rows = slots.map((slot, idx) => {
+      const mine = you.lineup[idx];
+      const theirs = opponent.lineup[idx];
+      return {
+        slot,
+        you: mine.empty ? null : mine,
+        opponent: theirs.empty ? null : theirs,
+        edge: (mine.projection || 0) - (theirs.projection || 0)
+      };
+    });
+
+    return {
+      week,
+      you,
+      opponent,
+      slots: rows,
+      winProbability: winProbability(you, opponent),
+      opponentHasLineup: opponentRoster.hasLineup,
+      swingPlayers: this.findSwingPlayers(you, opponent)
+    };
+  }
+
+  /**
+   * One side of the matchup: its optimal lineup, score distribution and lineup problems
+   */
+  async projectSide(leagueId, roster, name) {
+    const formatted = await this.rosterService.formatRoster(roster);
+
+    // Players on a bye or ruled out score nothing, whatever the projection feed says
+    const available = player => player.onBye || isPlayerUnavailable(player.injuryStatus) ?
+      { ...player, realProjection: 0 } :
+      player;
+    const optimal = await this.optimizer.optimizeLineup(leagueId, {
+      starters: formatted.starters.map(available),
+      bench: formatted.bench.map(available)
+    }, { alternatives: false });
+    const starters = optimal.lineup.filter(player => !player.empty);
+
+    return {
+      rosterId: roster.roster_id,
+      name,
+      lineup: optimal.lineup,
+      ...lineupDistribution(starters),
+      problems: this.findProblems(formatted.starters, starters)
+    };
+  }
+
+  /**
+   * Byes and injuries among the set lineup and the optimal starters
+   * A problem in the set lineup that the optimal lineup doesn't share still needs a lineup change
+   */
+  findProblems(setStarters, optimalStarters) {
+    const setIds = new Set(setStarters.map(player => player.playerId));
+    const optimalIds = new Set(optimalStarters.map(player => player.playerId));
+    const seen = new Set();
+
+    return [...setStarters, ...optimalStarters]
+      .filter(player => player.playerId && player.playerId !== '0' && (player.onBye || player.injuryStatus))
+      .filter(player => !seen.has(player.playerId) && seen.add(player.playerId))
+      .map(player => ({
+        player,
+        problem: player.onBye ? 'BYE' : player.injuryStatus,
+        likelyOut: player.onBye || isPlayerLikelyOut(player.injuryStatus),
+        inLineup: setIds.has(player.playerId),
+        inOptimal: optimalIds.has(player.playerId)
+      }))
+      .sort((a, b) => Number(b.likelyOut) - Number(a.likelyOut) || Number(b.inLineup) - Number(a.inLineup));
+  }
+
+  /**
+   * Opponent starters whose range moves your win probability the most
+   * Each is played at a bad day (projection - 1 sd) and a good day (projection + 1 sd)
+   * while the rest of their lineup keeps its distribution
+   */
+  findSwingPlayers(you, opponent) {
+    return opponent.lineup
+      .filter(player => !player.empty && player.stdDev > 0)
+      .map(player => {
+        const rest = {
+          mean: opponent.mean - player.projection,
+          stdDev: Math.sqrt(Math.max(0, opponent.stdDev ** 2 - player.stdDev ** 2))
+        };
+        const floor = Math.max(0, player.projection - player.stdDev);
+        const ceiling = player.projection + player.stdDev;
+        const ifQuiet = winProbability(you, { ...rest, mean: rest.mean + floor });
+        const ifBig = winProbability(you, { ...rest, mean: rest.mean + ceiling });
+        return { player, floor, ceiling, ifQuiet, ifBig, swing: ifQuiet - ifBig };
+      })
+      .sort((a, b) => b.swing - a.swing)
+      .slice(0, SWING_PLAYERS);
+  }
+
+  /**
+   * Format the matchup preview for display
+   */
+  formatPreview(preview) {
+    const lines = [];
+    const pct = value => `${(value * 100).toFixed(0)}%`;
+    const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    const describe = player => player ? `${player.name} (${player.team})`.substring(0, 24) : '(empty)';
+    const points = player => (player ? player.projection.toFixed(1) : '-').padStart(6);
+
+    lines.push(`⚔️  WEEK ${preview.week} MATCHUP: ${preview.you.name} vs ${preview.opponent.name}`);
+    lines.push(`Both teams at their optimal lineups${preview.opponentHasLineup ? '' : ` (${preview.opponent.name} hasn't set a lineup)`}`);
+    lines.push('');
+    lines.push(`${'Slot'.padEnd(11)}${'You'.padEnd(25)}${'Proj'.padStart(6)}   ${'Opponent'.padEnd(25)}${'Proj'.padStart(6)}${'Edge'.padStart(8)}`);
+    lines.push('─'.repeat(84));
+
+    preview.slots.forEach(row => {
+      lines.push(`${row.slot.padEnd(11)}${describe(row.you).padEnd(25)}${points(row.you)}   ${describe(row.opponent).padEnd(25)}${points(row.opponent)}${signed(row.edge).padStart(8)}`);
+    });
+    lines.push('─'.repeat(84));
+
+    const spread = (side) => `${side.mean.toFixed(1)} ± ${side.stdDev.toFixed(1)}`;
+    lines.push(`${'TOTAL'.padEnd(11)}${spread(preview.you).padEnd(31)}   ${spread(preview.opponent).padEnd(31)}${signed(preview.you.mean - preview.opponent.mean).padStart(8)}`);
+    lines.push(`\nWin Probability: ${pct(preview.winProbability)} (${preview.you.name}) - ${pct(1 - preview.winProbability)} (${preview.opponent.name})`);
+
+    [preview.you, preview.opponent].forEach((side, idx) => {
+      if (side.problems.length === 0) return;
+      lines.push(`\n${idx === 0 ? 'YOUR' : 'OPPONENT'} BYE & INJURY PROBLEMS:`);
+      side.problems.forEach(({ player, problem, inLineup, inOptimal }) => {
+        const where = !inLineup ? 'starts in the optimal lineup' :
+          idx === 0 && !inOptimal ? 'in your lineup - bench them' :
+          idx === 0 ? 'in your lineup' :
+          'in their lineup';
+        lines.push(`  • ${player.name} (${player.position}, ${player.team}) - ${problem}, ${where}`);
+      });
+    });
+
+    if (preview.swingPlayers.length > 0) {
+      lines.push(`\nOPPONENT SWING PLAYERS (your win probability if they have a quiet / big day):`);
+      preview.swingPlayers.forEach(({ player, floor, ceiling, ifQuiet, ifBig }) => {
+        lines.push(`  • ${player.name} (${player.position}): ${floor.toFixed(1)} pts → ${pct(ifQuiet)}, ${ceiling.toFixed(1)} pts → ${pct(ifBig)}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+}
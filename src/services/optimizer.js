@@ -1,5 +1,26 @@
-import { getBasePoints, getInjuryMultiplier } from '../data/scoringConstants.js';
-import { ELITE_OFFENSES, WEAK_OFFENSES, TEAM_MULTIPLIERS } from '../data/teamRankings.js';
+import { getInjuryMultiplier, getPointsStdDev } from '../data/scoringConstants.js';
+import { getMatchupMultiplier, getTeamMultiplier } from '../data/teamRankings.js';
+import { getOpponent } from '../data/nflCalendar.js';
+import { ScoringEngine } from './scoring.js';
+import { solveLineup } from './lineupSolver.js';
+import { isStartingSlot } from '../data/rosterSlots.js';
+import { lineupDistribution, winProbability } from './winProbability.js';
+
+const ALTERNATIVE_LINEUP_TOLERANCE = 1.0; // Projected points below optimal still worth showing
+const MIN_IMPROVEMENT = 0.5; // Minimum total points gain worth changing the lineup for
+const EMPTY_STARTER_ID = '0'; // Sleeper's placeholder for an empty starting slot
+
+// Lineup goals: maximize projected points, or the chance of beating this week's opponent
+export const LINEUP_MODES = ['points', 'win'];
+
+// Risk levels searched in win mode: value = projection + level * stdDev
+// Positive levels chase ceiling (underdogs), negative levels protect the floor (favorites)
+const RISK_LEVELS = [0, 0.25, -0.25, 0.5, -0.5, 0.75, -0.75, 1, -1, 1.5, -1.5, 2, -2];
+const MIN_WIN_PROBABILITY_GAIN = 0.005; // Smallest win probability gain worth changing the lineup for
+
+// Tie-breaks that keep the optimal lineup as close as possible to the current one
+const SAME_SLOT_BONUS = 0.0002;
+const CURRENT_STARTER_BONUS = 0.0001;
 
 /**
  * Lineup optimizer using projections and scoring rules
@@ -7,19 +28,34 @@ import { ELITE_OFFENSES, WEAK_OFFENSES, TEAM_MULTIPLIERS } from '../data/teamRan
 export class LineupOptimizer {
   constructor(rosterService) {
     this.rosterService = rosterService;
+    this.scoringEngines = new WeakMap(); // scoring settings object -> ScoringEngine
+  }
+
+  /**
+   * Get (and memoize) the scoring engine for a league's scoring settings
+   */
+  getScoringEngine(scoringSettings) {
+    if (!scoringSettings || typeof scoringSettings !== 'object') {
+      return new ScoringEngine();
+    }
+    if (!this.scoringEngines.has(scoringSettings)) {
+      this.scoringEngines.set(scoringSettings, new ScoringEngine(scoringSettings));
+    }
+    return this.scoringEngines.get(scoringSettings);
   }
 
   /**
    * Enhanced projection model with player quality tiers
+   * With a week, the player's NFL opponent that week adjusts the estimate (defense vs position)
    */
-  estimatePoints(player, scoringSettings) {
+  estimatePoints(player, scoringSettings, week = null) {
     // Players on BYE get 0 points
     if (player.onBye) {
       return 0;
     }
 
-    // Get base points for position
-    let points = getBasePoints(player.position);
+    // Get base points for position under the league's scoring (PPR, TE premium, ...)
+    let points = this.getScoringEngine(scoringSettings).baselinePoints(player.position);
 
     // Apply injury multiplier
     points *= getInjuryMultiplier(player.injuryStatus);
@@ -27,6 +63,11 @@ export class LineupOptimizer {
     // Apply player quality modifiers based on tier
     points *= this.getPlayerQualityMultiplier(player);
 
+    // This week's opponent
+    if (week !== null) {
+      points *= getMatchupMultiplier(getOpponent(player.team, week), player.position);
+    }
+
     return points;
   }
 
@@ -84,11 +125,7 @@ export class LineupOptimizer {
     }
 
     // Team quality modifier
-    if (WEAK_OFFENSES.includes(team)) {
-      multiplier *= TEAM_MULTIPLIERS.WEAK;
-    } else if (ELITE_OFFENSES.includes(team)) {
-      multiplier *= TEAM_MULTIPLIERS.ELITE;
-    }
+    multiplier *= getTeamMultiplier(team);
 
     // Backup RBs and WR3+ get further penalty if not elite
     if (position === 'RB' && multiplier < 1.1) {
@@ -109,163 +146,326 @@ export class LineupOptimizer {
 
   /**
    * Optimize lineup given available players and roster positions
+   * Solves slot assignment exactly, so FLEX/SUPER_FLEX order never misplaces players
+   * options.currentSlots (playerId -> slot) keeps ties in the player's current slot
+   * options.opponent ({ mean, stdDev }) switches to maximizing win probability against it
    */
-  async optimizeLineup(leagueId, roster) {
+  async optimizeLineup(leagueId, roster, options = {}) {
     const scoringSettings = await this.rosterService.getScoringSettings(leagueId);
     const rosterPositions = await this.rosterService.getRosterPositions(leagueId);
+    const tolerance = options.tolerance ?? ALTERNATIVE_LINEUP_TOLERANCE;
+    const week = await this.rosterService.getCurrentWeek();
 
     // Get all players with projections
-    const allPlayers = roster.starters.concat(roster.bench);
+    const allPlayers = roster.starters.concat(roster.bench)
+      .filter(player => player.playerId !== EMPTY_STARTER_ID);
     const playersWithProjections = allPlayers.map(player => ({
       ...player,
       // Use real projection if available, otherwise estimate
-      projection: player.realProjection ?? this.estimatePoints(player, scoringSettings)
+      projection: player.realProjection ?? this.estimatePoints(player, scoringSettings, week)
+    })).map(player => ({
+      ...player,
+      stdDev: getPointsStdDev(player.position, player.projection)
     }));
 
     // Sort by projection (highest first)
     playersWithProjections.sort((a, b) => b.projection - a.projection);
 
-    // Fill roster positions greedily
-    const lineup = [];
-    const usedPlayers = new Set();
-
-    for (const position of rosterPositions) {
-      if (position === 'BN') continue; // Skip bench slots
-
-      const eligiblePlayers = playersWithProjections.filter(player => {
-        if (usedPlayers.has(player.playerId)) return false;
-
-        // Check position eligibility
-        if (position === 'FLEX') {
-          return ['RB', 'WR', 'TE'].includes(player.position);
-        } else if (position === 'SUPER_FLEX') {
-          return ['QB', 'RB', 'WR', 'TE'].includes(player.position);
-        } else if (position === 'WRRB_FLEX') {
-          return ['RB', 'WR'].includes(player.position);
-        } else if (position === 'REC_FLEX') {
-          return ['WR', 'TE'].includes(player.position);
-        } else {
-          return player.position === position;
-        }
-      });
+    // When the current lineup is known, prefer the optimal arrangement that moves the fewest players
+    const currentSlots = options.currentSlots || null;
+    const slotBonus = currentSlots ? (player, slot) => {
+      if (!currentSlots.has(player.playerId)) return 0;
+      return currentSlots.get(player.playerId) === slot ? SAME_SLOT_BONUS : CURRENT_STARTER_BONUS;
+    } : undefined;
 
-      if (eligiblePlayers.length > 0) {
-        const bestPlayer = eligiblePlayers[0];
-        lineup.push({ ...bestPlayer, slotPosition: position });
-        usedPlayers.add(bestPlayer.playerId);
-      } else {
-        lineup.push({ slotPosition: position, empty: true });
-      }
-    }
+    const slots = rosterPositions.filter(isStartingSlot);
+    const best = options.opponent ?
+      this.solveForWinProbability(playersWithProjections, slots, options.opponent, slotBonus) :
+      solveLineup(playersWithProjections, slots, { slotBonus });
+    const lineup = this.buildLineup(best.assignment, slots);
+    const usedPlayers = new Set(lineup.filter(p => !p.empty).map(p => p.playerId));
 
     // Remaining players go to bench
     const bench = playersWithProjections.filter(p => !usedPlayers.has(p.playerId));
 
+    // Close calls are about projected points, so only points mode reports them
+    const alternatives = options.opponent || options.alternatives === false ?
+      [] :
+      this.findAlternativeLineups(playersWithProjections, slots, lineup, best.total, tolerance);
+
     return {
       lineup,
       bench,
-      totalProjectedPoints: lineup.reduce((sum, p) => sum + (p.projection || 0), 0)
+      totalProjectedPoints: best.total,
+      winProbability: best.winProbability ?? null,
+      riskLevel: best.riskLevel ?? null,
+      alternatives
     };
   }
 
   /**
-   * Compare current lineup to optimal lineup
+   * Find the lineup most likely to outscore an opponent ({ mean, stdDev })
+   * Re-solves with projections shifted by each risk level and keeps the best win probability
    */
-  async analyzeLineup(leagueId, currentRoster) {
-    const formatted = await this.rosterService.formatRoster(currentRoster);
-    const optimal = await this.optimizeLineup(leagueId, formatted);
+  solveForWinProbability(players, slots, opponent, slotBonus) {
+    let best = null;
 
-    // Calculate current lineup points (use real projections if available)
-    const currentPoints = formatted.starters.reduce((sum, player) => {
-      return sum + (player.realProjection ?? this.estimatePoints(player, {}));
-    }, 0);
+    RISK_LEVELS.forEach(riskLevel => {
+      const result = solveLineup(players, slots, {
+        value: player => player.projection + riskLevel * player.stdDev,
+        slotBonus
+      });
+      const starters = result.assignment.filter(Boolean);
+      const distribution = lineupDistribution(starters);
+      const probability = winProbability(distribution, opponent);
+
+      // Levels are ordered by distance from 0, so ties keep the least extreme lineup
+      if (!best || probability > best.winProbability + 1e-9) {
+        best = {
+          assignment: result.assignment,
+          total: distribution.mean,
+          winProbability: probability,
+          riskLevel
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Project this week's opponent lineup as { name, starters, mean, stdDev } (null without a matchup)
+   * Uses the opponent's set lineup, or their optimal one if they haven't set it
+   */
+  async getOpponentOutlook(leagueId, roster) {
+    const week = await this.rosterService.getCurrentWeek();
+    const opponent = await this.rosterService.getOpponentRoster(roster, leagueId, week);
+    if (!opponent) {
+      return null;
+    }
 
-    const recommendations = [];
-    const MIN_IMPROVEMENT = 0.5; // Minimum points improvement to recommend a swap
+    const formatted = await this.rosterService.formatRoster(opponent);
+    const scoringSettings = await this.rosterService.getScoringSettings(leagueId);
+    let starters = formatted.starters.filter(player => player.playerId && player.playerId !== EMPTY_STARTER_ID);
 
-    // Create maps for quick lookup
-    const currentStarterIds = new Set(formatted.starters.map(p => p.playerId));
-    const optimalStarterIds = new Set(optimal.lineup.filter(p => !p.empty).map(p => p.playerId));
+    if (starters.length === 0) {
+      const optimal = await this.optimizeLineup(leagueId, formatted, { alternatives: false });
+      starters = optimal.lineup.filter(player => !player.empty);
+    }
 
-    // Build a map of player positions in current lineup
-    const currentPlayerPositions = new Map();
-    formatted.starters.forEach((player, idx) => {
-      currentPlayerPositions.set(player.playerId, { player, index: idx, position: player.position });
+    const projected = starters.map(player => {
+      const projection = player.projection ?? player.realProjection ?? this.estimatePoints(player, scoringSettings, week);
+      return { ...player, projection, stdDev: getPointsStdDev(player.position, projection) };
     });
 
-    // Find all differences between current and optimal lineup
-    optimal.lineup.forEach((optimalPlayer, idx) => {
-      if (optimalPlayer.empty) return;
+    return {
+      name: opponent.ownerName,
+      starters: projected,
+      ...lineupDistribution(projected)
+    };
+  }
 
-      const currentPlayer = formatted.starters[idx];
+  /**
+   * Turn a solver assignment into lineup entries in slot order
+   */
+  buildLineup(assignment, slots) {
+    return slots.map((slot, idx) => {
+      const player = assignment[idx];
+      return player ? { ...player, slotPosition: slot } : { slotPosition: slot, empty: true };
+    });
+  }
 
-      // Skip if same player is already in this position
-      if (currentPlayer.playerId === optimalPlayer.playerId) {
-        return;
-      }
+  /**
+   * Find other starting groups whose total is within tolerance of the optimum
+   * Each optimal starter is benched in turn and the lineup re-solved
+   */
+  findAlternativeLineups(players, slots, optimalLineup, optimalTotal, tolerance) {
+    const optimalIds = new Set(optimalLineup.filter(p => !p.empty).map(p => p.playerId));
+    const seen = new Set([[...optimalIds].sort().join(',')]);
+    const alternatives = [];
+
+    for (const playerId of optimalIds) {
+      const result = solveLineup(players, slots, { banned: new Set([playerId]) });
+      const lineup = this.buildLineup(result.assignment, slots);
+      const starterIds = lineup.filter(p => !p.empty).map(p => p.playerId);
+      const signature = [...starterIds].sort().join(',');
+
+      if (seen.has(signature) || optimalTotal - result.total > tolerance) continue;
+      seen.add(signature);
+
+      const starterSet = new Set(starterIds);
+      alternatives.push({
+        lineup,
+        totalProjectedPoints: result.total,
+        difference: result.total - optimalTotal,
+        playersIn: lineup.filter(p => !p.empty && !optimalIds.has(p.playerId)),
+        playersOut: optimalLineup.filter(p => !p.empty && !starterSet.has(p.playerId))
+      });
+    }
 
-      const isOptimalPlayerOnBench = !currentStarterIds.has(optimalPlayer.playerId);
-      const isOptimalPlayerInDifferentSlot = currentStarterIds.has(optimalPlayer.playerId) &&
-                                              currentPlayer.playerId !== optimalPlayer.playerId;
-
-      if (isOptimalPlayerOnBench) {
-        // Case 1: Bench player should start
-        const currentPlayerProjection = currentPlayer.realProjection ?? this.estimatePoints(currentPlayer, {});
-        const improvement = optimalPlayer.projection - currentPlayerProjection;
-
-        if (improvement >= MIN_IMPROVEMENT) {
-          recommendations.push({
-            type: 'swap',
-            out: { ...currentPlayer, projection: currentPlayerProjection },
-            in: optimalPlayer,
-            improvement,
-            position: optimalPlayer.slotPosition
-          });
-        }
-      } else if (isOptimalPlayerInDifferentSlot) {
-        // Case 2: Starting player should move to different position
-        const currentPosition = currentPlayerPositions.get(optimalPlayer.playerId);
-
-        // Calculate the improvement from this position swap
-        // This is a position optimization - both players are already starting
-        const optimalPlayerInNewSlot = optimalPlayer.projection;
-        const currentPlayerProjection = currentPlayer.realProjection ?? this.estimatePoints(currentPlayer, {});
-        const currentPlayerInThisSlot = currentPlayerProjection;
-
-        // Find what player is taking the optimal player's old slot
-        const playerTakingOldSlot = optimal.lineup[currentPosition.index];
-        const playerTakingOldSlotProjection = playerTakingOldSlot ? playerTakingOldSlot.projection : 0;
-        const optimalPlayerInOldSlot = optimalPlayer.projection;
-
-        // Net improvement from swapping positions
-        const improvement = (optimalPlayerInNewSlot - currentPlayerInThisSlot) +
-                           (playerTakingOldSlotProjection - optimalPlayerInOldSlot);
-
-        if (improvement >= MIN_IMPROVEMENT) {
-          recommendations.push({
-            type: 'position_swap',
-            player: optimalPlayer,
-            fromPosition: currentPosition.index,
-            toPosition: idx,
-            fromSlot: formatted.starters[currentPosition.index].slotPosition || currentPosition.player.position,
-            toSlot: optimalPlayer.slotPosition,
-            improvement,
-            affectedPlayer: currentPlayer
-          });
-        }
-      }
+    return alternatives.sort((a, b) => b.totalProjectedPoints - a.totalProjectedPoints);
+  }
+
+  /**
+   * Map each current starter to the slot they occupy
+   * ESPN rosters carry the slot; Sleeper starters follow roster_positions order
+   */
+  getCurrentSlots(starters, slots) {
+    const currentSlots = new Map();
+    starters.forEach((player, idx) => {
+      if (!player.playerId || player.playerId === EMPTY_STARTER_ID) return;
+      currentSlots.set(player.playerId, player.slotPosition || slots[idx] || player.position);
     });
+    return currentSlots;
+  }
+
+  /**
+   * Compare current lineup to optimal lineup
+   * options.mode: 'points' (default) or 'win' to maximize win probability against this week's opponent
+   */
+  async analyzeLineup(leagueId, currentRoster, options = {}) {
+    const formatted = await this.rosterService.formatRoster(currentRoster);
+    const rosterPositions = await this.rosterService.getRosterPositions(leagueId);
+    const slots = rosterPositions.filter(isStartingSlot);
+    const currentSlots = this.getCurrentSlots(formatted.starters, slots);
+    const scoringSettings = await this.rosterService.getScoringSettings(leagueId);
+    const week = await this.rosterService.getCurrentWeek();
+
+    // Win mode needs an opponent - without one (bye week, no matchups) fall back to points
+    const opponent = options.mode === 'win' ?
+      await this.getOpponentOutlook(leagueId, currentRoster) :
+      null;
+    const optimal = await this.optimizeLineup(leagueId, formatted, { currentSlots, opponent });
+
+    const currentStarters = formatted.starters
+      .filter(player => currentSlots.has(player.playerId))
+      .map(player => {
+        const projection = player.realProjection ?? this.estimatePoints(player, scoringSettings, week);
+        return {
+          ...player,
+          slotPosition: currentSlots.get(player.playerId),
+          projection,
+          stdDev: getPointsStdDev(player.position, projection)
+        };
+      });
+
+    // Calculate current lineup points (use real projections if available)
+    const currentPoints = currentStarters.reduce((sum, player) => sum + player.projection, 0);
+    const pointsGain = optimal.totalProjectedPoints - currentPoints;
+
+    let winProbabilityReport = null;
+    let worthChanging = pointsGain >= MIN_IMPROVEMENT;
+
+    if (opponent) {
+      const current = winProbability(lineupDistribution(currentStarters), opponent);
+      winProbabilityReport = {
+        opponent: { name: opponent.name, mean: opponent.mean, stdDev: opponent.stdDev },
+        current,
+        recommended: optimal.winProbability,
+        riskLevel: optimal.riskLevel
+      };
+      worthChanging = optimal.winProbability - current >= MIN_WIN_PROBABILITY_GAIN;
+    }
 
-    // Sort recommendations by improvement (highest first)
-    recommendations.sort((a, b) => b.improvement - a.improvement);
+    // Changes only worth making if they add up to a real gain
+    const recommendations = worthChanging ?
+      this.diffLineups(currentStarters, optimal.lineup) :
+      [];
 
     return {
+      mode: opponent ? 'win' : 'points',
       currentLineup: formatted.starters,
       optimalLineup: optimal.lineup,
       currentPoints,
       optimalPoints: optimal.totalProjectedPoints,
-      pointsGain: optimal.totalProjectedPoints - currentPoints,
+      pointsGain,
+      winProbability: winProbabilityReport,
+      alternatives: optimal.alternatives,
       recommendations
     };
   }
+
+  /**
+   * Compute the smallest set of lineup operations from current to optimal
+   *
+   * swap  - bench a starter and start a bench player (carries the point gain)
+   * start - fill an empty slot from the bench
+   * bench - sit a starter with no replacement
+   * move  - shift a starter to another slot to make room (no gain on its own)
+   */
+  diffLineups(currentStarters, optimalLineup) {
+    const currentById = new Map(currentStarters.map(p => [p.playerId, p]));
+    const optimalStarters = optimalLineup.filter(p => !p.empty);
+    const optimalIds = new Set(optimalStarters.map(p => p.playerId));
+
+    const starts = optimalStarters.filter(p => !currentById.has(p.playerId));
+    const benches = currentStarters.filter(p => !optimalIds.has(p.playerId));
+    const moves = optimalStarters
+      .filter(p => currentById.has(p.playerId) && currentById.get(p.playerId).slotPosition !== p.slotPosition)
+      .map(p => ({
+        type: 'move',
+        player: p,
+        fromSlot: currentById.get(p.playerId).slotPosition,
+        toSlot: p.slotPosition,
+        improvement: 0
+      }));
+
+    // Pair each start with the starter it replaces - same slot first, then best-for-worst
+    const operations = [];
+    const unpairedBenches = [...benches].sort((a, b) => a.projection - b.projection);
+    const sortedStarts = [...starts].sort((a, b) => b.projection - a.projection);
+
+    const pairs = [];
+    const leftoverStarts = [];
+    sortedStarts.forEach(start => {
+      const idx = unpairedBenches.findIndex(b => b.slotPosition === start.slotPosition);
+      if (idx >= 0) {
+        pairs.push([start, unpairedBenches.splice(idx, 1)[0]]);
+      } else {
+        leftoverStarts.push(start);
+      }
+    });
+    leftoverStarts.forEach(start => {
+      if (unpairedBenches.length > 0) {
+        pairs.push([start, unpairedBenches.shift()]);
+      } else {
+        operations.push({
+          type: 'start',
+          in: start,
+          position: start.slotPosition,
+          improvement: start.projection
+        });
+      }
+    });
+
+    pairs.forEach(([start, out]) => {
+      operations.push({
+        type: 'swap',
+        out,
+        in: start,
+        improvement: start.projection - out.projection,
+        position: start.slotPosition,
+        fromSlot: out.slotPosition
+      });
+    });
+
+    unpairedBenches.forEach(out => {
+      operations.push({
+        type: 'bench',
+        out,
+        improvement: -out.projection
+      });
+    });
+
+    // A move makes room for whichever start/move lands in the slot it vacates
+    moves.forEach(move => {
+      const beneficiary = operations.find(op => op.in && op.position === move.fromSlot) ||
+                          moves.find(other => other !== move && other.toSlot === move.fromSlot);
+      move.makesRoomFor = beneficiary ? (beneficiary.in || beneficiary.player) : null;
+    });
+
+    // Sort recommendations by improvement (highest first), moves last
+    operations.sort((a, b) => b.improvement - a.improvement);
+    return [...operations, ...moves];
+  }
 }
@@ -0,0 +1,186 @@
+import { isOnBye } from '../data/byeWeeks.js';
+import { isAvailableInWeeks } from '../data/scoringConstants.js';
+import { getRegularSeasonWeeks } from '../data/nflCalendar.js';
+import { isStartingSlot, isEligibleForSlot } from '../data/rosterSlots.js';
+import { solveLineup } from './lineupSolver.js';
+
+const COVER_CANDIDATES = 3; // Waiver adds suggested per hole
+
+/**
+ * Multi-week lineup planner
+ * Projects the best lineup for upcoming weeks around byes and injuries,
+ * and finds the holes that need a bench or waiver cover before they arrive
+ */
+export class LineupPlanner {
+  constructor(rosterService, optimizer, waiverAnalyzer) {
+    this.rosterService = rosterService;
+    this.optimizer = optimizer;
+    this.waiverAnalyzer = waiverAnalyzer;
+  }
+
+  /**
+   * Plan lineups for the next `weeks` weeks (including the current one)
+   */
+  async planWeeks(leagueId, roster, weeks = 4) {
+    const currentWeek = await this.rosterService.getCurrentWeek();
+    const formatted = await this.rosterService.formatRoster(roster);
+    const scoringSettings = await this.rosterService.getScoringSettings(leagueId);
+    const rosterPositions = await this.rosterService.getRosterPositions(leagueId);
+    const slots = rosterPositions.filter(isStartingSlot);
+
+    const players = formatted.starters.concat(formatted.bench)
+      .filter(player => player.playerId && player.playerId !== '0');
+
+    const lastWeek = Math.min(currentWeek + weeks - 1, getRegularSeasonWeeks());
+    const plan = [];
+
+    for (let week = currentWeek; week <= lastWeek; week++) {
+      const projections = await this.rosterService.loadProjections(leagueId, week);
+      plan.push(this.planWeek(week, week - currentWeek, players, slots, projections, scoringSettings));
+    }
+
+    const holes = plan.flatMap(weekPlan => weekPlan.holes.map(slot => ({ week: weekPlan.week, slot })));
+    const benchCovers = this.findBenchCovers(plan);
+    const waiverCovers = holes.length > 0 ?
+      await this.suggestWaiverCovers(leagueId, holes, plan, players, benchCovers, currentWeek) :
+      [];
+
+    return { currentWeek, weeks: plan, holes, benchCovers, waiverCovers };
+  }
+
+  /**
+   * Best lineup for one week, with byes and injured players unavailable
+   */
+  planWeek(week, weeksAhead, players, slots, projections, scoringSettings) {
+    const weekPlayers = players.map(player => {
+      const onBye = isOnBye(player.team, week);
+      const available = !onBye && isAvailableInWeeks(player.injuryStatus, weeksAhead);
+
+      // Injury status only discounts this week - later weeks assume a full return
+      const estimate = () => this.optimizer.estimatePoints(
+        { ...player, onBye, injuryStatus: weeksAhead === 0 ? player.injuryStatus : null },
+        scoringSettings,
+        week
+      );
+      const projection = weeksAhead === 0 ?
+        player.realProjection :
+        projections[player.playerId] ?? null;
+
+      return {
+        ...player,
+        onBye,
+        available,
+        projection: available ? projection ?? estimate() : 0
+      };
+    });
+
+    const banned = new Set(weekPlayers.filter(p => !p.available).map(p => p.playerId));
+    const { assignment, total } = solveLineup(weekPlayers, slots, { banned });
+
+    return {
+      week,
+      lineup: slots.map((slot, idx) => ({ slot, player: assignment[idx] })),
+      totalProjectedPoints: total,
+      holes: slots.filter((slot, idx) => !assignment[idx]),
+      byes: weekPlayers.filter(p => p.onBye),
+      injured: weekPlayers.filter(p => !p.onBye && !p.available)
+    };
+  }
+
+  /**
+   * Bench players the plan relies on while this week's starters are on bye or hurt
+   */
+  findBenchCovers(plan) {
+    const [thisWeek, ...laterWeeks] = plan;
+    if (!thisWeek) return [];
+
+    const startingNow = new Set(thisWeek.lineup.filter(entry => entry.player).map(entry => entry.player.playerId));
+    const covers = new Map();
+
+    laterWeeks.forEach(weekPlan => {
+      const missing = weekPlan.byes.concat(weekPlan.injured).filter(p => startingNow.has(p.playerId));
+      if (missing.length === 0) return;
+
+      // One cover per missing starter - the best of the players who step in
+      const stepIns = weekPlan.lineup
+        .filter(({ player }) => player && !startingNow.has(player.playerId))
+        .sort((a, b) => b.player.projection - a.player.projection)
+        .slice(0, missing.length);
+
+      stepIns.forEach(({ slot, player }) => {
+        if (!covers.has(player.playerId)) {
+          covers.set(player.playerId, { player, slot, weeks: [] });
+        }
+        covers.get(player.playerId).weeks.push(weekPlan.week);
+      });
+    });
+
+    return [...covers.values()];
+  }
+
+  /**
+   * Suggest waiver adds for each slot with holes, and the bench spot to open for them
+   * Candidates covering every hole week for the slot rank first; the bench spot goes
+   * to a player the plan rarely starts (fewest starts, then lowest projection)
+   */
+  async suggestWaiverCovers(leagueId, holes, plan, players, benchCovers, currentWeek) {
+    const available = await this.rosterService.getAvailablePlayers(leagueId);
+
+    // How often each rostered player starts across the planned weeks
+    const usage = new Map(players.map(player => [player.playerId, { player, starts: 0, points: 0 }]));
+    plan.forEach(weekPlan => {
+      weekPlan.lineup.forEach(({ player }) => {
+        if (!player) return;
+        const entry = usage.get(player.playerId);
+        entry.starts += 1;
+        entry.points += player.projection;
+      });
+    });
+
+    // Players on IR don't take a bench spot, and bench covers are needed
+    const keep = new Set(benchCovers.map(cover => cover.player.playerId));
+    const dropOrder = [...usage.values()]
+      .filter(entry =>
+        entry.player.injuryStatus !== 'IR' &&
+        !keep.has(entry.player.playerId) &&
+        entry.starts < plan.length / 2
+      )
+      .sort((a, b) => a.starts - b.starts || a.points - b.points)
+      .map(entry => entry.player);
+
+    const holeWeeksBySlot = new Map();
+    holes.forEach(hole => {
+      if (!holeWeeksBySlot.has(hole.slot)) holeWeeksBySlot.set(hole.slot, []);
+      holeWeeksBySlot.get(hole.slot).push(hole.week);
+    });
+
+    return [...holeWeeksBySlot.entries()].map(([slot, weeks], idx) => {
+      const firstWeek = Math.min(...weeks);
+
+      const candidates = available
+        .filter(player => isEligibleForSlot(player.position, slot))
+        .map(player => ({
+          ...player,
+          weeksCovered: weeks.filter(week =>
+            !isOnBye(player.team, week) && isAvailableInWeeks(player.injuryStatus, week - currentWeek)
+          ).length,
+          waiverScore: this.waiverAnalyzer.scorePlayer(player)
+        }))
+        .filter(player => player.weeksCovered > 0)
+        .sort((a, b) =>
+          b.weeksCovered - a.weeksCovered ||
+          (b.realProjection ?? -1) - (a.realProjection ?? -1) ||
+          b.waiverScore - a.waiverScore
+        )
+        .slice(0, COVER_CANDIDATES);
+
+      return {
+        slot,
+        weeks,
+        addBy: firstWeek === currentWeek ? 'now' : `before week ${firstWeek}`,
+        candidates,
+        drop: dropOrder[idx] || null
+      };
+    });
+  }
+}
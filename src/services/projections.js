@@ -0,0 +1,59 @@
+import { ScoringEngine } from './scoring.js';
+
+/**
+ * Weekly player projections scored with the league's scoring settings
+ */
+export class ProjectionService {
+  constructor(api) {
+    this.api = api;
+    this.cache = {}; // "leagueId:week" -> { playerId: points }
+  }
+
+  /**
+   * Get projected fantasy points for every player with a projection
+   * Returns { [playerId]: points }
+   */
+  async getProjections(leagueId, week) {
+    const cacheKey = `${leagueId}:${week}`;
+    if (this.cache[cacheKey]) {
+      return this.cache[cacheKey];
+    }
+
+    let raw = {};
+    let engine = new ScoringEngine();
+    try {
+      raw = await this.api.getProjections(leagueId, week);
+      const league = await this.api.getLeague(leagueId);
+      engine = new ScoringEngine(league.scoring_settings);
+    } catch (error) {
+      // No projections available - callers fall back to estimates
+    }
+
+    const points = {};
+    for (const [playerId, projection] of Object.entries(raw)) {
+      points[playerId] = projection.points ?? this.scoreStats(projection.stats, engine, projection.position);
+    }
+
+    this.cache[cacheKey] = points;
+    return points;
+  }
+
+  /**
+   * Get a single player's projected points (null when unknown)
+   */
+  async getProjection(leagueId, playerId, week) {
+    const projections = await this.getProjections(leagueId, week);
+    return projections[playerId] ?? null;
+  }
+
+  /**
+   * Score a projected stat line with the league's scoring engine
+   * Without league rules, fall back to the projection's own PPR total
+   */
+  scoreStats(stats = {}, engine, position = null) {
+    if (!engine.hasRules()) {
+      return stats.pts_ppr ?? 0;
+    }
+    return engine.scoreStats(stats, position);
+  }
+}
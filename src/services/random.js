@@ -0,0 +1,33 @@
+/**
+ * Seedable random numbers, so a simulation can be replayed exactly
+ */
+
+/**
+ * A fresh 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Uniform [0, 1) generator from a 32-bit seed (mulberry32)
+ */
+export function createRandom(seed = randomSeed()) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normally distributed draw (Box-Muller)
+ */
+export function sampleNormal(random, mean, stdDev) {
+  const u = 1 - random(); // (0, 1] keeps the log finite
+  const v = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
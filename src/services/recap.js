@@ -0,0 +1,239 @@
+import { getBracketSettings } from './bracket.js';
+import { getTiebreakers, seedStandings, usesMedianScoring } from './tiebreakers.js';
+
+const BAD_BEAT_RANK = 3; // A loss with one of the week's top scores
+const PICKUP_TYPES = ['waiver', 'free_agent'];
+
+/**
+ * Weekly league recap: results, awards and standings movement, written as Markdown
+ * for pasting into the league chat
+ */
+export class WeeklyRecap {
+  constructor(api, rosterService, standings) {
+    this.api = api;
+    this.rosterService = rosterService;
+    this.standings = standings;
+  }
+
+  /**
+   * Build the recap for a played week
+   */
+  async buildRecap(leagueId, week) {
+    const league = await this.api.getLeague(leagueId);
+    const rosters = await this.api.getLeagueRosters(leagueId);
+    const users = await this.api.getLeagueUsers(leagueId).catch(() => []);
+    await this.rosterService.loadPlayers();
+
+    const names = new Map(rosters.map(roster => {
+      const owner = users.find(u => u.user_id === roster.owner_id);
+      return [roster.roster_id, owner?.metadata?.team_name || owner?.display_name || `Team ${roster.roster_id}`];
+    }));
+
+    const allMatchups = await this.standings.getSeasonMatchups(leagueId, week + 1);
+    const weekMatchups = allMatchups[week - 1] || [];
+    const games = this.getGames(weekMatchups, names);
+    if (games.length === 0) {
+      throw new Error(`No results for week ${week} yet`);
+    }
+
+    const transactions = await this.api.getTransactions(leagueId, week).catch(() => []);
+    const bracket = getBracketSettings(league, rosters.length);
+
+    return {
+      leagueName: league.name,
+      week,
+      playoffs: week >= bracket.weekStart,
+      games,
+      awards: this.getAwards(games, weekMatchups, transactions || [], names),
+      movement: week < bracket.weekStart ?
+        this.getStandingsMovement(league, rosters, allMatchups, week, bracket.teams, names) :
+        null
+    };
+  }
+
+  /**
+   * Head-to-head results for a week, winner first: [{ winner, loser, margin, tie }]
+   */
+  getGames(weekMatchups, names) {
+    const pairs = new Map();
+    weekMatchups.forEach(matchup => {
+      if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+      if (!pairs.has(matchup.matchup_id)) pairs.set(matchup.matchup_id, []);
+      pairs.get(matchup.matchup_id).push(matchup);
+    });
+
+    return [...pairs.values()]
+      .filter(pair => pair.length === 2 && pair.some(m => (m.points || 0) > 0))
+      .map(pair => {
+        const [winner, loser] = pair
+          .map(m => ({ rosterId: m.roster_id, name: names.get(m.roster_id), points: m.points || 0 }))
+          .sort((a, b) => b.points - a.points);
+        return { winner, loser, margin: winner.points - loser.points, tie: winner.points === loser.points };
+      })
+      .sort((a, b) => b.winner.points - a.winner.points);
+  }
+
+  /**
+   * The week's awards (null where nobody qualifies)
+   */
+  getAwards(games, weekMatchups, transactions, names) {
+    const scores = games.flatMap(game => [game.winner, game.loser]).sort((a, b) => b.points - a.points);
+    const decided = games.filter(game => !game.tie);
+    const byMargin = [...decided].sort((a, b) => b.margin - a.margin);
+
+    // The highest score that still lost, if it was one of the week's best
+    const badBeat = decided
+      .map(game => ({ ...game, rank: scores.findIndex(score => score === game.loser) + 1 }))
+      .filter(game => game.rank <= BAD_BEAT_RANK)
+      .sort((a, b) => a.rank - b.rank)[0] || null;
+
+    return {
+      topScore: scores[0],
+      lowScore: scores[scores.length - 1],
+      blowout: byMargin[0] || null,
+      closest: byMargin[byMargin.length - 1] || null,
+      badBeat,
+      bench: this.findBestBench(weekMatchups, names),
+      pickup: this.findBestPickup(weekMatchups, transactions, names)
+    };
+  }
+
+  /**
+   * The most points scored by a player left on a bench
+   */
+  findBestBench(weekMatchups, names) {
+    let best = null;
+    weekMatchups.forEach(matchup => {
+      const starters = new Set(matchup.starters || []);
+      (matchup.players || []).filter(playerId => !starters.has(playerId)).forEach(playerId => {
+        const points = matchup.players_points?.[playerId] ?? 0;
+        if (points > 0 && (!best || points > best.points)) {
+          best = { player: this.describePlayer(playerId), points, team: names.get(matchup.roster_id) };
+        }
+      });
+    });
+    return best;
+  }
+
+  /**
+   * The week's best-scoring waiver or free agent addition, for the team that added them
+   * (null when no pickup scored for its new team)
+   */
+  findBestPickup(weekMatchups, transactions, names) {
+    let best = null;
+    transactions
+      .filter(transaction => PICKUP_TYPES.includes(transaction.type) && transaction.status === 'complete')
+      .forEach(transaction => {
+        Object.entries(transaction.adds || {}).forEach(([playerId, rosterId]) => {
+          const matchup = weekMatchups.find(m => m.roster_id === rosterId);
+          const points = matchup?.players_points?.[playerId] ?? 0;
+          if (points > 0 && (!best || points > best.points)) {
+            best = {
+              player: this.describePlayer(playerId),
+              points,
+              team: names.get(rosterId),
+              type: transaction.type,
+              bid: transaction.settings?.waiver_bid ?? null,
+              started: matchup?.starters?.includes(playerId) || false
+            };
+          }
+        });
+      });
+    return best;
+  }
+
+  /**
+   * Name and position for a player ID
+   */
+  describePlayer(playerId) {
+    const player = this.rosterService.getPlayer(playerId);
+    return { playerId, name: player?.full_name || `Player ${playerId}`, position: player?.position || 'N/A' };
+  }
+
+  /**
+   * Standings after the week against the week before, in seeded order
+   */
+  getStandingsMovement(league, rosters, allMatchups, week, playoffTeams, names) {
+    const tiebreakers = getTiebreakers(league);
+    const median = usesMedianScoring(league);
+    const standingsAfter = weeks => seedStandings(
+      Object.values(this.standings.calculateRecords(rosters, allMatchups.slice(0, weeks), { median })),
+      tiebreakers,
+      playoffTeams
+    );
+
+    const before = standingsAfter(week - 1).map(record => record.rosterId);
+    return standingsAfter(week).map((record, idx) => ({
+      rank: idx + 1,
+      name: names.get(record.rosterId),
+      wins: record.wins,
+      losses: record.losses,
+      ties: record.ties,
+      pointsFor: record.pointsFor,
+      change: week > 1 ? before.indexOf(record.rosterId) - idx : 0
+    }));
+  }
+
+  /**
+   * Format the recap as Markdown
+   */
+  formatMarkdown(recap) {
+    const lines = [];
+    const pts = value => value.toFixed(2);
+    const playerText = ({ player }) => `${player.name} (${player.position})`;
+    const ordinalRank = rank => ['', 'highest', '2nd-highest', '3rd-highest'][rank] || `#${rank}`;
+
+    lines.push(`# Week ${recap.week} Recap - ${recap.leagueName}`);
+    lines.push('');
+    lines.push(`## ${recap.playoffs ? 'Playoff Results' : 'Results'}`);
+    lines.push('');
+    lines.push('| Winner | Score | Loser |');
+    lines.push('|---|:---:|---|');
+    recap.games.forEach(game => {
+      const winner = game.tie ? game.winner.name : `**${game.winner.name}**`;
+      lines.push(`| ${winner} | ${pts(game.winner.points)} - ${pts(game.loser.points)} | ${game.loser.name} |`);
+    });
+
+    const { awards } = recap;
+    lines.push('');
+    lines.push('## Awards');
+    lines.push('');
+    lines.push(`- 🔥 **Top score:** ${awards.topScore.name} - ${pts(awards.topScore.points)}`);
+    lines.push(`- 🧊 **Lowest score:** ${awards.lowScore.name} - ${pts(awards.lowScore.points)}`);
+    if (awards.blowout) {
+      const { winner, loser, margin } = awards.blowout;
+      lines.push(`- 💥 **Biggest blowout:** ${winner.name} crushed ${loser.name} by ${pts(margin)} (${pts(winner.points)} - ${pts(loser.points)})`);
+    }
+    if (awards.closest && awards.closest !== awards.blowout) {
+      const { winner, loser, margin } = awards.closest;
+      lines.push(`- 😬 **Closest game:** ${winner.name} edged ${loser.name} by ${pts(margin)} (${pts(winner.points)} - ${pts(loser.points)})`);
+    }
+    if (awards.badBeat) {
+      const { winner, loser, rank } = awards.badBeat;
+      lines.push(`- 💔 **Bad beat:** ${loser.name} put up the ${ordinalRank(rank)} score (${pts(loser.points)}) and still lost to ${winner.name} (${pts(winner.points)})`);
+    }
+    if (awards.bench) {
+      lines.push(`- 🪑 **Left on the bench:** ${playerText(awards.bench)} scored ${pts(awards.bench.points)} on ${awards.bench.team}'s bench`);
+    }
+    if (awards.pickup) {
+      const { type, bid, started } = awards.pickup;
+      const how = type === 'waiver' ? `off waivers${bid ? ` for $${bid}` : ''}` : 'in free agency';
+      lines.push(`- 🛒 **Pickup of the week:** ${playerText(awards.pickup)}, added by ${awards.pickup.team} ${how}, scored ${pts(awards.pickup.points)}${started ? '' : ' (on the bench)'}`);
+    }
+
+    if (recap.movement) {
+      lines.push('');
+      lines.push('## Standings');
+      lines.push('');
+      lines.push('| # | Team | Record | PF | Move |');
+      lines.push('|---:|---|:---:|---:|:---:|');
+      recap.movement.forEach(team => {
+        const record = `${team.wins}-${team.losses}${team.ties > 0 ? `-${team.ties}` : ''}`;
+        const move = team.change > 0 ? `▲ ${team.change}` : team.change < 0 ? `▼ ${-team.change}` : '-';
+        lines.push(`| ${team.rank} | ${team.name} | ${record} | ${pts(team.pointsFor)} | ${move} |`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
@@ -4,8 +4,9 @@ import { isOnBye, getByeWeek } from '../data/byeWeeks.js';
  * Roster management and display
  */
 export class RosterService {
-  constructor(api) {
+  constructor(api, projections = null) {
     this.api = api;
+    this.projections = projections;
     this.players = null;
     this.currentWeek = null;
   }
@@ -31,6 +32,16 @@ export class RosterService {
     return this.currentWeek;
   }
 
+  /**
+   * Load weekly projected points for a league ({ playerId: points })
+   */
+  async loadProjections(leagueId, week) {
+    if (!this.projections || !leagueId) {
+      return {};
+    }
+    return await this.projections.getProjections(leagueId, week);
+  }
+
   /**
    * Get player details by ID
    */
@@ -46,18 +57,56 @@ export class RosterService {
     return rosters.find(roster => roster.owner_id === userId);
   }
 
+  /**
+   * Get this week's opponent roster for a user's roster (null on a bye or without matchups)
+   * Starters come from the matchup, so they reflect the opponent's set lineup
+   */
+  async getOpponentRoster(roster, leagueId, week) {
+    const matchups = await this.api.getMatchups(leagueId, week).catch(() => []);
+    const mine = matchups.find(m => m.roster_id === roster.roster_id);
+    if (!mine || mine.matchup_id === null || mine.matchup_id === undefined) {
+      return null;
+    }
+
+    const theirs = matchups.find(m => m.matchup_id === mine.matchup_id && m.roster_id !== roster.roster_id);
+    if (!theirs) {
+      return null;
+    }
+
+    const rosters = await this.api.getLeagueRosters(leagueId);
+    const opponent = rosters.find(r => r.roster_id === theirs.roster_id);
+    if (!opponent) {
+      return null;
+    }
+
+    const users = await this.api.getLeagueUsers(leagueId).catch(() => []);
+    const owner = users.find(u => u.user_id === opponent.owner_id);
+    const hasLineup = theirs.starters?.some(playerId => playerId && playerId !== '0') || false;
+
+    return {
+      ...opponent,
+      league_id: leagueId,
+      starters: hasLineup ? theirs.starters : opponent.starters,
+      starter_slots: hasLineup ? theirs.starter_slots : opponent.starter_slots,
+      hasLineup,
+      ownerName: owner?.metadata?.team_name || owner?.display_name || `Team ${opponent.roster_id}`
+    };
+  }
+
   /**
    * Format roster with player details
    */
   async formatRoster(roster) {
     await this.loadPlayers();
     const currentWeek = await this.getCurrentWeek();
+    const projections = await this.loadProjections(roster.league_id, currentWeek);
 
-    const starters = roster.starters.map(playerId => {
+    const starters = roster.starters.map((playerId, idx) => {
       const player = this.getPlayer(playerId);
       const team = player?.team || 'FA';
       return {
         playerId,
+        slotPosition: roster.starter_slots?.[idx] || null,
         name: player?.full_name || 'Unknown',
         position: player?.position || 'N/A',
         team,
@@ -65,7 +114,7 @@ export class RosterService {
         injuryStatus: player?.injury_status || null,
         onBye: isOnBye(team, currentWeek),
         byeWeek: getByeWeek(team),
-        realProjection: player?.projected_points || null
+        realProjection: projections[playerId] ?? player?.projected_points ?? null
       };
     });
 
@@ -83,7 +132,7 @@ export class RosterService {
           injuryStatus: player?.injury_status || null,
           onBye: isOnBye(team, currentWeek),
           byeWeek: getByeWeek(team),
-          realProjection: player?.projected_points || null
+          realProjection: projections[playerId] ?? player?.projected_points ?? null
         };
       });
 
@@ -97,6 +146,7 @@ export class RosterService {
     await this.loadPlayers();
     const currentWeek = await this.getCurrentWeek();
     const rosters = await this.api.getLeagueRosters(leagueId);
+    const projections = await this.loadProjections(leagueId, currentWeek);
 
     // Collect all rostered player IDs
     const rosteredIds = new Set();
@@ -120,7 +170,10 @@ export class RosterService {
           status: player.status,
           injuryStatus: player.injury_status,
           onBye: isOnBye(team, currentWeek),
-          byeWeek: getByeWeek(team)
+          byeWeek: getByeWeek(team),
+          realProjection: projections[playerId] ?? null,
+          percentOwned: player.percent_owned ?? null,
+          onWaivers: player.on_waivers || false
         });
       }
     }
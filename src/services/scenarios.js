@@ -0,0 +1,335 @@
+/**
+ * Clinch and elimination scenarios over the remaining regular season
+ *
+ * Tiebreakers depend on points nobody has scored yet, so a team counts as clinched only
+ * when it stays in even if it loses out and every tie goes against it, and as eliminated
+ * only when it misses even if it wins out and every tie goes its way
+ */
+
+// Larger weeks (over 20 teams) aren't enumerated - 2^games outcomes
+const MAX_ENUMERATED_GAMES = 10;
+
+// Scenario conditions listed per team and event before summarizing the rest
+const MAX_CONDITIONS = 4;
+
+const EVENTS = {
+  clinchedBye: 'clinches a first-round bye',
+  clinchedPlayoffs: 'clinches a playoff spot',
+  eliminated: 'is eliminated'
+};
+
+export class ScenarioAnalyzer {
+  constructor(standingsAnalyzer) {
+    this.standings = standingsAnalyzer;
+  }
+
+  /**
+   * Clinch/elimination status, magic numbers and this week's scenarios for every team
+   * analysis: the result of StandingsAnalyzer.analyzeStandings()
+   */
+  async analyzeScenarios(analysis, leagueId) {
+    const { currentWeek, bracket } = analysis;
+    const weeksRemaining = analysis.playoffProb.weeksRemaining;
+    const teams = analysis.standings;
+
+    let pairings = [];
+    if (weeksRemaining > 0) {
+      const futureMatchups = await this.standings.getRemainingSchedule(leagueId, currentWeek, currentWeek + weeksRemaining - 1);
+      pairings = this.standings.getFuturePairings(futureMatchups);
+    }
+
+    const values = new Map(teams.map(team => [team.rosterId, team.wins + team.ties * 0.5]));
+    const remaining = new Map(teams.map(team => [team.rosterId, 0]));
+    // In median leagues every game comes with a second one against the median, left open here
+    const gamesPerMatchup = analysis.medianScoring ? 2 : 1;
+    pairings.flat().forEach(([id1, id2]) => {
+      if (!remaining.has(id1) || !remaining.has(id2)) return;
+      remaining.set(id1, remaining.get(id1) + gamesPerMatchup);
+      remaining.set(id2, remaining.get(id2) + gamesPerMatchup);
+    });
+
+    const league = { teams, playoffTeams: bracket.teams, byes: bracket.byes };
+    const noGamesLeft = [...remaining.values()].every(games => games === 0);
+    const statuses = noGamesLeft ? this.getFinalStatus(league) : this.getStatus(league, values, remaining);
+
+    // Only this week's games are enumerated; the weeks after stay open
+    const thisWeek = (pairings[0] || []).filter(([id1, id2]) => remaining.has(id1) && remaining.has(id2));
+    const weekScenarios = noGamesLeft || thisWeek.length > MAX_ENUMERATED_GAMES ?
+      null :
+      this.enumerateWeek(league, values, remaining, thisWeek, statuses);
+
+    return {
+      week: currentWeek,
+      weeksRemaining,
+      playoffTeams: bracket.teams,
+      byes: bracket.byes,
+      games: thisWeek,
+      enumerated: weekScenarios !== null,
+      teams: teams.map(team => {
+        const status = statuses.get(team.rosterId);
+        return {
+          rosterId: team.rosterId,
+          teamName: team.teamName || team.username,
+          wins: team.wins,
+          losses: team.losses,
+          ties: team.ties,
+          ...status,
+          magicNumber: status.clinchedPlayoffs || status.eliminated ? null : this.getMagicNumber(team.rosterId, league, values, remaining),
+          eliminationNumber: status.clinchedPlayoffs || status.eliminated ? null : this.getEliminationNumber(team.rosterId, league, values, remaining),
+          scenarios: weekScenarios?.get(team.rosterId) || {}
+        };
+      })
+    };
+  }
+
+  /**
+   * Status once the regular season is over - the seeds are final
+   */
+  getFinalStatus({ teams, playoffTeams, byes }) {
+    return new Map(teams.map((team, idx) => [team.rosterId, {
+      clinchedPlayoffs: idx < playoffTeams,
+      clinchedBye: idx < byes,
+      eliminated: idx >= playoffTeams
+    }]));
+  }
+
+  /**
+   * Clinched/eliminated status for every team from current win totals and games remaining
+   * Division winners are guaranteed a spot, so another division's winner can take one
+   * from a team that finishes ahead of it
+   */
+  getStatus({ teams, playoffTeams, byes }, values, remaining) {
+    const divisions = new Set(teams.map(team => team.division).filter(division => division !== null && division !== undefined));
+    const statuses = new Map();
+
+    teams.forEach(team => {
+      const id = team.rosterId;
+      const floor = values.get(id);
+      const ceiling = floor + remaining.get(id);
+      const others = teams.filter(other => other.rosterId !== id);
+
+      // Could finish level with or ahead of this team if it loses out
+      const possiblyAhead = others.filter(other => values.get(other.rosterId) + remaining.get(other.rosterId) >= floor);
+      // Finishes ahead even if this team wins out
+      const surelyAhead = others.filter(other => values.get(other.rosterId) > ceiling);
+
+      let threats = possiblyAhead.length;
+      let canWinDivision = false;
+      if (divisions.size >= 2) {
+        // Each other division with nobody able to pass this team still sends its winner
+        divisions.forEach(division => {
+          if (division === team.division) return;
+          if (!possiblyAhead.some(other => other.division === division)) threats++;
+        });
+        canWinDivision = !surelyAhead.some(other => other.division === team.division);
+      }
+
+      // A bye is a top seed, so it is a playoff spot too
+      const clinchedBye = byes > 0 && possiblyAhead.length < byes;
+      statuses.set(id, {
+        clinchedPlayoffs: clinchedBye || threats < playoffTeams,
+        clinchedBye,
+        eliminated: !canWinDivision && surelyAhead.length >= playoffTeams
+      });
+    });
+
+    return statuses;
+  }
+
+  /**
+   * Wins by this team plus losses by the first team out that clinch a spot
+   * (null when there are fewer challengers than playoff spots)
+   */
+  getMagicNumber(rosterId, { teams, playoffTeams }, values, remaining) {
+    const ceilings = teams
+      .filter(team => team.rosterId !== rosterId)
+      .map(team => values.get(team.rosterId) + remaining.get(team.rosterId))
+      .sort((a, b) => b - a);
+    if (ceilings.length < playoffTeams) return null;
+    return Math.max(0, ceilings[playoffTeams - 1] - values.get(rosterId) + 1);
+  }
+
+  /**
+   * Losses by this team plus wins by the last team in that eliminate it
+   */
+  getEliminationNumber(rosterId, { teams, playoffTeams }, values, remaining) {
+    const floors = teams
+      .filter(team => team.rosterId !== rosterId)
+      .map(team => values.get(team.rosterId))
+      .sort((a, b) => b - a);
+    if (floors.length < playoffTeams) return null;
+    return Math.max(0, values.get(rosterId) + remaining.get(rosterId) - floors[playoffTeams - 1] + 1);
+  }
+
+  /**
+   * Play out every combination of this week's results (ties ignored) and collect, per team,
+   * the result combinations that clinch or eliminate: { [event]: { always, conditions } }
+   */
+  enumerateWeek(league, values, remaining, games, currentStatuses) {
+    const outcomes = 1 << games.length;
+    const reached = new Map(league.teams.map(team => [team.rosterId, {
+      clinchedPlayoffs: [],
+      clinchedBye: [],
+      eliminated: []
+    }]));
+
+    for (let mask = 0; mask < outcomes; mask++) {
+      const weekValues = new Map(values);
+      const weekRemaining = new Map(remaining);
+      games.forEach(([id1, id2], idx) => {
+        // Bit set: the first team wins
+        const winner = mask & (1 << idx) ? id1 : id2;
+        weekValues.set(winner, weekValues.get(winner) + 1);
+        // A median game stays open, so a condition holds whatever the median results
+        weekRemaining.set(id1, weekRemaining.get(id1) - 1);
+        weekRemaining.set(id2, weekRemaining.get(id2) - 1);
+      });
+
+      this.getStatus(league, weekValues, weekRemaining).forEach((status, rosterId) => {
+        Object.keys(EVENTS).forEach(event => {
+          if (status[event]) reached.get(rosterId)[event].push(mask);
+        });
+      });
+    }
+
+    const scenarios = new Map();
+    reached.forEach((events, rosterId) => {
+      const current = currentStatuses.get(rosterId);
+      const teamScenarios = {};
+      Object.entries(events).forEach(([event, masks]) => {
+        if (current[event] || masks.length === 0) return;
+        // A bye already implies a playoff spot
+        if (event === 'clinchedPlayoffs' && masks.length === events.clinchedBye.length && events.clinchedBye.length > 0) return;
+        teamScenarios[event] = masks.length === outcomes ?
+          { always: true, conditions: [] } :
+          { always: false, conditions: this.simplifyOutcomes(masks, games.length) };
+      });
+      scenarios.set(rosterId, teamScenarios);
+    });
+
+    return scenarios;
+  }
+
+  /**
+   * Reduce a set of outcomes to short conditions: each is { [gameIdx]: firstTeamWins }
+   * covering only the games that matter. A game is dropped from a condition when every
+   * result of it still lands in the set
+   */
+  simplifyOutcomes(masks, gameCount) {
+    const inSet = new Set(masks);
+    const covers = (fixed, values) => {
+      for (let mask = 0; mask < (1 << gameCount); mask++) {
+        if ((mask & fixed) === values && !inSet.has(mask)) return false;
+      }
+      return true;
+    };
+
+    const conditions = [];
+    masks.forEach(mask => {
+      if (conditions.some(({ fixed, values }) => (mask & fixed) === values)) return;
+
+      let fixed = (1 << gameCount) - 1;
+      for (let idx = 0; idx < gameCount; idx++) {
+        const loosened = fixed & ~(1 << idx);
+        if (covers(loosened, mask & loosened)) fixed = loosened;
+      }
+      conditions.push({ fixed, values: mask & fixed });
+    });
+
+    return conditions
+      .sort((a, b) => bitCount(a.fixed) - bitCount(b.fixed))
+      .map(({ fixed, values }) => {
+        const condition = {};
+        for (let idx = 0; idx < gameCount; idx++) {
+          if (fixed & (1 << idx)) condition[idx] = Boolean(values & (1 << idx));
+        }
+        return condition;
+      });
+  }
+
+  /**
+   * Format the status table and this week's scenarios
+   */
+  formatScenarios(scenarios, userRosterId) {
+    const lines = [];
+    const names = new Map(scenarios.teams.map(team => [team.rosterId, team.teamName]));
+    const num = value => value === null ? '-' : Number.isInteger(value) ? String(value) : value.toFixed(1);
+
+    lines.push(`\n🔢 CLINCH & ELIMINATION (top ${scenarios.playoffTeams} make playoffs${scenarios.byes > 0 ? `, top ${scenarios.byes} get a bye` : ''}):`);
+    lines.push(`Rank  ${'Team'.padEnd(27)}${'W-L-T'.padEnd(9)}${'Status'.padEnd(17)}${'Magic #'.padStart(8)}${'Elim #'.padStart(8)}`);
+    lines.push('─'.repeat(75));
+
+    scenarios.teams.forEach((team, idx) => {
+      const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+      const rank = `${idx + 1}.`.padEnd(5);
+      const teamName = team.teamName.padEnd(24).substring(0, 24);
+      const record = `${team.wins}-${team.losses}${team.ties > 0 ? `-${team.ties}` : ''}`.padEnd(7);
+      const status = team.clinchedBye ? 'Clinched bye' :
+        team.clinchedPlayoffs ? 'Clinched playoffs' :
+        team.eliminated ? 'Eliminated' : 'Alive';
+      lines.push(`${marker}${rank} ${teamName} ${record}  ${status.padEnd(17)} ${num(team.magicNumber).padStart(7)} ${num(team.eliminationNumber).padStart(7)}`);
+    });
+    lines.push('Magic #: wins plus losses by the first team out needed to clinch. Elim #: losses plus wins by the last team in that eliminate.');
+
+    if (scenarios.weeksRemaining === 0) {
+      return lines.join('\n');
+    }
+
+    lines.push('');
+    if (!scenarios.enumerated) {
+      lines.push(`THIS WEEK: too many games (${scenarios.games.length}) to list every scenario`);
+      return lines.join('\n');
+    }
+
+    const describe = condition => Object.entries(condition).map(([idx, firstWins]) => {
+      const [id1, id2] = scenarios.games[idx];
+      const [winner, loser] = firstWins ? [id1, id2] : [id2, id1];
+      return `${names.get(winner)} beats ${names.get(loser)}`;
+    }).join(' and ');
+
+    // The user's team first, then everyone else in standings order
+    const ordered = [
+      ...scenarios.teams.filter(team => team.rosterId === userRosterId),
+      ...scenarios.teams.filter(team => team.rosterId !== userRosterId)
+    ];
+
+    const scenarioLines = [];
+    ordered.forEach(team => {
+      Object.entries(EVENTS).forEach(([event, label]) => {
+        const scenario = team.scenarios[event];
+        if (!scenario) return;
+        const who = team.rosterId === userRosterId ? `${team.teamName} (you)` : team.teamName;
+
+        if (scenario.always) {
+          scenarioLines.push(`• ${who} ${label} this week regardless of results`);
+          return;
+        }
+
+        const shown = scenario.conditions.slice(0, MAX_CONDITIONS).map(describe);
+        const more = scenario.conditions.length - shown.length;
+        scenarioLines.push(`• ${who} ${label} this week if ${shown.join('\n    OR ')}${more > 0 ? `\n    OR ${more} other combination${more === 1 ? '' : 's'}` : ''}`);
+      });
+    });
+
+    lines.push(`THIS WEEK (week ${scenarios.week}):`);
+    if (scenarioLines.length === 0) {
+      lines.push('• No team can clinch or be eliminated this week');
+    } else {
+      lines.push(...scenarioLines);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Number of set bits
+ */
+function bitCount(value) {
+  let count = 0;
+  while (value) {
+    count += value & 1;
+    value >>= 1;
+  }
+  return count;
+}
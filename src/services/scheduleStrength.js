@@ -0,0 +1,77 @@
+/**
+ * Remaining NFL strength of schedule for players, weighted toward the fantasy playoffs
+ */
+import { getOpponent, getRegularSeasonWeeks } from '../data/nflCalendar.js';
+import { getMatchupMultiplier } from '../data/teamRankings.js';
+import { getBracketSettings, getPlayoffWeeks } from './bracket.js';
+
+const PLAYOFF_WEIGHT = 2; // A fantasy playoff week counts double
+const EASY_SCHEDULE = 1.03;
+const HARD_SCHEDULE = 0.97;
+
+/**
+ * Weeks left in the fantasy season: { fromWeek, lastWeek, playoffWeeks }
+ * Runs through the championship, or the end of the NFL regular season if that comes first
+ */
+export function getScheduleWindow(league, teamCount, currentWeek) {
+  const nflWeeks = getRegularSeasonWeeks();
+  const playoffWeeks = getPlayoffWeeks(getBracketSettings(league, teamCount)).filter(week => week <= nflWeeks);
+  const lastWeek = playoffWeeks.length > 0 ? playoffWeeks[playoffWeeks.length - 1] : nflWeeks;
+  return { fromWeek: currentWeek, lastWeek, playoffWeeks };
+}
+
+/**
+ * Difficulty of a player's remaining NFL opponents
+ * Returns { games: [{ week, opponent, multiplier, playoff }], rating, playoffRating, label, playoffLabel }
+ * with ratings the average scoring multiplier (above 1 is easier), or null without a known schedule
+ */
+export function getPlayerSchedule(team, position, window) {
+  if (!team || team === 'FA' || !window) return null;
+
+  const games = [];
+  for (let week = window.fromWeek; week <= window.lastWeek; week++) {
+    const opponent = getOpponent(team, week);
+    if (!opponent) continue; // Bye, or no schedule registered
+    games.push({
+      week,
+      opponent,
+      multiplier: getMatchupMultiplier(opponent, position),
+      playoff: window.playoffWeeks.includes(week)
+    });
+  }
+  if (games.length === 0) return null;
+
+  const weightOf = game => game.playoff ? PLAYOFF_WEIGHT : 1;
+  const totalWeight = games.reduce((sum, game) => sum + weightOf(game), 0);
+  const rating = games.reduce((sum, game) => sum + game.multiplier * weightOf(game), 0) / totalWeight;
+
+  const playoffGames = games.filter(game => game.playoff);
+  const playoffRating = playoffGames.length > 0 ?
+    playoffGames.reduce((sum, game) => sum + game.multiplier, 0) / playoffGames.length :
+    null;
+
+  return {
+    games,
+    rating,
+    playoffRating,
+    label: scheduleLabel(rating),
+    playoffLabel: playoffRating !== null ? scheduleLabel(playoffRating) : null
+  };
+}
+
+/**
+ * Easy, Average or Hard for a schedule rating
+ */
+export function scheduleLabel(rating) {
+  if (rating >= EASY_SCHEDULE) return 'Easy';
+  if (rating <= HARD_SCHEDULE) return 'Hard';
+  return 'Average';
+}
+
+/**
+ * Short schedule summary for a player line: "SoS Easy (playoffs Hard)"
+ */
+export function formatSchedule(schedule) {
+  if (!schedule) return '';
+  return `SoS ${schedule.label}${schedule.playoffLabel ? ` (playoffs ${schedule.playoffLabel})` : ''}`;
+}
@@ -0,0 +1,160 @@
+import {
+  ESPN_STAT_MAP,
+  ESPN_SLOT_POSITIONS,
+  THRESHOLD_BONUSES,
+  POSITION_RECEPTION_BONUSES,
+  POINTS_ALLOWED_TIERS,
+  FIELD_GOAL_AGGREGATES,
+  BASELINE_STAT_LINES
+} from '../data/scoringRules.js';
+import { getBasePoints } from '../data/scoringConstants.js';
+
+const TIER_KEYS = new Set(POINTS_ALLOWED_TIERS.map(tier => tier.key));
+const THRESHOLD_KEYS = new Set(THRESHOLD_BONUSES.map(bonus => bonus.key));
+
+/**
+ * League scoring engine - turns raw stat lines into exact league points
+ * Accepts Sleeper scoring_settings ({ pass_yd: 0.04, rec: 1, ... }) or
+ * ESPN scoringSettings ({ scoringItems: [{ statId, points, pointsOverrides }] })
+ */
+export class ScoringEngine {
+  constructor(scoringSettings = {}) {
+    const { points, positionOverrides } = this.normalizeSettings(scoringSettings || {});
+    this.points = points;
+    this.positionOverrides = positionOverrides;
+  }
+
+  /**
+   * Convert platform scoring settings into { points, positionOverrides }
+   */
+  normalizeSettings(scoringSettings) {
+    const points = {};
+    const positionOverrides = {};
+
+    if (Array.isArray(scoringSettings.scoringItems)) {
+      // ESPN: one item per stat ID, with optional per-slot overrides (e.g. TE premium)
+      scoringSettings.scoringItems.forEach(item => {
+        const key = ESPN_STAT_MAP[item.statId];
+        if (!key) return;
+
+        points[key] = item.points || 0;
+
+        for (const [slotId, override] of Object.entries(item.pointsOverrides || {})) {
+          const position = ESPN_SLOT_POSITIONS[slotId];
+          if (!position) continue;
+          positionOverrides[position] = positionOverrides[position] || {};
+          positionOverrides[position][key] = override;
+        }
+      });
+    } else {
+      // Sleeper: keys already match stat names
+      for (const [key, value] of Object.entries(scoringSettings)) {
+        if (typeof value === 'number') {
+          points[key] = value;
+        }
+      }
+    }
+
+    return { points, positionOverrides };
+  }
+
+  /**
+   * Check whether any scoring rules were loaded
+   */
+  hasRules() {
+    return Object.keys(this.points).length > 0;
+  }
+
+  /**
+   * Normalize a stat line to Sleeper-style keys
+   * ESPN stat lines are keyed by numeric stat ID
+   */
+  normalizeStats(stats = {}) {
+    const line = {};
+
+    for (const [key, value] of Object.entries(stats)) {
+      if (typeof value !== 'number') continue;
+
+      const name = /^\d+$/.test(key) ? ESPN_STAT_MAP[key] : key;
+      if (!name) continue;
+
+      line[name] = (line[name] || 0) + value;
+    }
+
+    // Rebuild coarse field goal buckets from fine ones (e.g. ESPN's 0-39 from Sleeper's splits)
+    for (const [aggregate, parts] of Object.entries(FIELD_GOAL_AGGREGATES)) {
+      if (line[aggregate] === undefined && parts.some(part => line[part] !== undefined)) {
+        line[aggregate] = parts.reduce((sum, part) => sum + (line[part] || 0), 0);
+      }
+    }
+
+    return line;
+  }
+
+  /**
+   * Points per unit of a stat for a player at a position
+   */
+  getMultiplier(key, position) {
+    return this.positionOverrides[position]?.[key] ?? this.points[key] ?? 0;
+  }
+
+  /**
+   * Score a stat line in league points
+   */
+  scoreStats(stats, position = null) {
+    const line = this.normalizeStats(stats);
+    const hasTierFlags = Object.keys(line).some(key => TIER_KEYS.has(key));
+
+    let total = 0;
+
+    // Linear stats (yards, TDs, receptions, kicks, defensive plays, tier flags)
+    for (const [key, value] of Object.entries(line)) {
+      if (THRESHOLD_KEYS.has(key)) continue;
+      total += value * this.getMultiplier(key, position);
+    }
+
+    // Threshold bonuses - use the stat line's flag if present, otherwise derive from yardage
+    THRESHOLD_BONUSES.forEach(bonus => {
+      const bonusPoints = this.points[bonus.key];
+      if (!bonusPoints) return;
+
+      let earned = line[bonus.key];
+      if (earned === undefined) {
+        const value = bonus.stats.reduce((sum, stat) => sum + (line[stat] || 0), 0);
+        earned = value >= bonus.min && value <= (bonus.max ?? Infinity) ? 1 : 0;
+      }
+
+      total += earned * bonusPoints;
+    });
+
+    // Position reception premiums (TE premium etc.) when not already in the stat line
+    const receptionBonus = POSITION_RECEPTION_BONUSES[position];
+    if (receptionBonus && line[receptionBonus] === undefined && this.points[receptionBonus]) {
+      total += (line.rec || 0) * this.points[receptionBonus];
+    }
+
+    // Team defense: derive the points-allowed tier from the raw total
+    if (!hasTierFlags && line.pts_allow !== undefined) {
+      const allowed = Math.round(line.pts_allow);
+      POINTS_ALLOWED_TIERS.forEach(tier => {
+        if (allowed >= tier.min && allowed <= tier.max && this.points[tier.key]) {
+          total += this.points[tier.key];
+        }
+      });
+    }
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Estimated weekly points for a typical starter at a position under these rules
+   * Falls back to the generic base points for K/DEF or when no rules are loaded
+   */
+  baselinePoints(position) {
+    const line = BASELINE_STAT_LINES[position];
+    if (!line || !this.hasRules()) {
+      return getBasePoints(position);
+    }
+    return this.scoreStats(line, position);
+  }
+}
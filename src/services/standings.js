@@ -1,10 +1,46 @@
+import { getPointsStdDev } from '../data/scoringConstants.js';
+import { isStartingSlot } from '../data/rosterSlots.js';
+import { getBracketSettings, playBracket } from './bracket.js';
+import { addGameResult, addMedianResults, cloneRecord, createRecord, getTiebreakers, seedStandings, TIEBREAKERS, usesMedianScoring, winPct } from './tiebreakers.js';
+import { lineupDistribution } from './winProbability.js';
+import { createRandom, randomSeed, sampleNormal } from './random.js';
+
+export const SIMULATION_ITERATIONS = 1000;
+
+// Without roster projections, weekly scores vary ~12% around a team's points per game
+const PPG_VOLATILITY = 0.12;
+
+// Composite power score: all-play win rate, points per game and recent scoring (percentiles)
+const POWER_WEIGHTS = { allPlay: 0.5, scoring: 0.3, recentForm: 0.2 };
+const RECENT_FORM_WEEKS = 3;
+
+/**
+ * Parse a what-if pin: "<week>:<team>" or "<week>:<team>=<winner points>-<loser points>"
+ * The team is a roster ID or (part of) a team name
+ */
+export function parseWhatIf(spec) {
+  const match = spec.match(/^(\d+):([^=]+?)(?:=(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    throw new Error(`Invalid what-if '${spec}' (expected <week>:<team> or <week>:<team>=<points>-<points>)`);
+  }
+
+  const [, week, team, winnerPoints, loserPoints] = match;
+  const points = winnerPoints !== undefined ? [parseFloat(winnerPoints), parseFloat(loserPoints)] : null;
+  if (points && points[0] <= points[1]) {
+    throw new Error(`Invalid what-if '${spec}' (the winner's score comes first and must be higher)`);
+  }
+
+  return { spec, week: parseInt(week), team: team.trim(), points };
+}
+
 /**
  * League standings and playoff probability analysis
  */
 export class StandingsAnalyzer {
-  constructor(api, rosterService) {
+  constructor(api, rosterService, planner = null) {
     this.api = api;
     this.rosterService = rosterService;
+    this.planner = planner;
   }
 
   /**
@@ -26,21 +62,14 @@ export class StandingsAnalyzer {
 
   /**
    * Calculate team records from matchup history
+   * options.median also scores every team against each week's median
    */
-  calculateRecords(rosters, allMatchups) {
+  calculateRecords(rosters, allMatchups, { median = false } = {}) {
     const records = {};
 
     // Initialize records
     rosters.forEach(roster => {
-      records[roster.roster_id] = {
-        rosterId: roster.roster_id,
-        ownerId: roster.owner_id,
-        wins: 0,
-        losses: 0,
-        ties: 0,
-        pointsFor: 0,
-        pointsAgainst: 0
-      };
+      records[roster.roster_id] = createRecord(roster.roster_id, roster.owner_id, roster.settings?.division ?? null);
     });
 
     // Process each week's matchups
@@ -57,46 +86,131 @@ export class StandingsAnalyzer {
       });
 
       // Process each matchup
+      const weekScores = [];
       Object.values(matchupGroups).forEach(matchup => {
         if (matchup.length === 2) {
           const [team1, team2] = matchup;
-          const points1 = team1.points || 0;
-          const points2 = team2.points || 0;
-
-          records[team1.roster_id].pointsFor += points1;
-          records[team1.roster_id].pointsAgainst += points2;
-          records[team2.roster_id].pointsFor += points2;
-          records[team2.roster_id].pointsAgainst += points1;
-
-          if (points1 > points2) {
-            records[team1.roster_id].wins++;
-            records[team2.roster_id].losses++;
-          } else if (points2 > points1) {
-            records[team2.roster_id].wins++;
-            records[team1.roster_id].losses++;
-          } else {
-            records[team1.roster_id].ties++;
-            records[team2.roster_id].ties++;
-          }
+          addGameResult(records[team1.roster_id], records[team2.roster_id], team1.points || 0, team2.points || 0);
+          weekScores.push({ record: records[team1.roster_id], points: team1.points || 0 });
+          weekScores.push({ record: records[team2.roster_id], points: team2.points || 0 });
         }
       });
+
+      // Median leagues add a second game against the week's median score
+      if (median) {
+        addMedianResults(weekScores);
+      }
     });
 
     return records;
   }
 
   /**
-   * Calculate power rankings based on points scored
+   * Each week's scores for teams that played: [Map(rosterId -> { points, against })]
    */
-  calculatePowerRankings(records) {
-    const rankings = Object.values(records)
-      .sort((a, b) => b.pointsFor - a.pointsFor)
-      .map((record, idx) => ({
+  getWeeklyScores(allMatchups) {
+    return allMatchups.map(weekMatchups => {
+      const scores = new Map();
+      const matchupGroups = {};
+      (weekMatchups || []).forEach(m => {
+        if (m.matchup_id === null || m.matchup_id === undefined) return;
+        (matchupGroups[m.matchup_id] = matchupGroups[m.matchup_id] || []).push(m);
+      });
+
+      Object.values(matchupGroups).forEach(matchup => {
+        if (matchup.length !== 2) return;
+        const [team1, team2] = matchup;
+        scores.set(team1.roster_id, { points: team1.points || 0, against: team2.points || 0 });
+        scores.set(team2.roster_id, { points: team2.points || 0, against: team1.points || 0 });
+      });
+      return scores;
+    }).filter(scores => scores.size > 0);
+  }
+
+  /**
+   * All-play record: every week, each team's result against every other team's score
+   * Expected wins are the all-play win rate over the weeks played; luck is actual
+   * head-to-head wins minus expected wins
+   */
+  calculateAllPlay(records, weeklyScores) {
+    const allPlay = new Map(records.map(r => [r.rosterId, { wins: 0, losses: 0, ties: 0, expectedWins: 0 }]));
+
+    weeklyScores.forEach(scores => {
+      const entries = [...scores.entries()];
+      entries.forEach(([rosterId, { points }]) => {
+        const total = allPlay.get(rosterId);
+        if (!total) return;
+        const week = { wins: 0, losses: 0, ties: 0 };
+        entries.forEach(([otherId, other]) => {
+          if (otherId === rosterId) return;
+          if (points > other.points) week.wins++;
+          else if (points < other.points) week.losses++;
+          else week.ties++;
+        });
+        total.wins += week.wins;
+        total.losses += week.losses;
+        total.ties += week.ties;
+        if (entries.length > 1) {
+          total.expectedWins += (week.wins + week.ties * 0.5) / (entries.length - 1);
+        }
+      });
+    });
+
+    return allPlay;
+  }
+
+  /**
+   * Composite power rankings from all-play win rate, points per game and recent form
+   * (see POWER_WEIGHTS), with expected wins, luck and points-against rank alongside
+   */
+  calculatePowerRankings(records, allMatchups = []) {
+    const weeklyScores = this.getWeeklyScores(allMatchups);
+    const allPlay = this.calculateAllPlay(records, weeklyScores);
+    const recentWeeks = weeklyScores.slice(-RECENT_FORM_WEEKS);
+
+    const teams = records.map(record => {
+      const games = weeklyScores.filter(scores => scores.has(record.rosterId));
+      const recent = recentWeeks.map(scores => scores.get(record.rosterId)).filter(Boolean);
+      const ap = allPlay.get(record.rosterId);
+      const headToHeadWins = (record.wins - (record.medianWins || 0)) + (record.ties - (record.medianTies || 0)) * 0.5;
+
+      return {
         ...record,
-        powerRank: idx + 1
-      }));
+        allPlay: { wins: ap.wins, losses: ap.losses, ties: ap.ties },
+        allPlayPct: winPct(ap.wins, ap.losses, ap.ties),
+        expectedWins: ap.expectedWins,
+        luck: headToHeadWins - ap.expectedWins,
+        ppg: games.length > 0 ? games.reduce((sum, scores) => sum + scores.get(record.rosterId).points, 0) / games.length : 0,
+        recentForm: {
+          weeks: recent.length,
+          ppg: recent.length > 0 ? recent.reduce((sum, s) => sum + s.points, 0) / recent.length : 0,
+          wins: recent.filter(s => s.points > s.against).length,
+          losses: recent.filter(s => s.points < s.against).length
+        }
+      };
+    });
 
-    return rankings;
+    // Percentile within the league: 1 for the best, 0 for the worst
+    const percentile = (value, values) => values.length > 1 ?
+      values.filter(other => other < value).length / (values.length - 1) :
+      1;
+    const ppgs = teams.map(team => team.ppg);
+    const recentPPGs = teams.map(team => team.recentForm.ppg);
+    const pointsAgainst = teams.map(team => team.pointsAgainst);
+
+    return teams
+      .map(team => ({
+        ...team,
+        // 1 = most points scored against
+        paRank: pointsAgainst.filter(pa => pa > team.pointsAgainst).length + 1,
+        powerScore: 100 * (
+          POWER_WEIGHTS.allPlay * team.allPlayPct +
+          POWER_WEIGHTS.scoring * percentile(team.ppg, ppgs) +
+          POWER_WEIGHTS.recentForm * percentile(team.recentForm.ppg, recentPPGs)
+        )
+      }))
+      .sort((a, b) => b.powerScore - a.powerScore || b.pointsFor - a.pointsFor)
+      .map((team, idx) => ({ ...team, powerRank: idx + 1 }));
   }
 
   /**
@@ -116,11 +230,54 @@ export class StandingsAnalyzer {
     return futureMatchups;
   }
 
+  /**
+   * Remaining fantasy strength of schedule: the average projected score of each team's
+   * upcoming regular season opponents (points per game without roster projections)
+   * Returns [{ rosterId, teamName, games, opponentStrength, vsAverage, rank }], hardest first
+   */
+  calculateScheduleStrength(teams, futureMatchups, currentWeek, strength = null) {
+    const ppgs = new Map(teams.map(team => [team.rosterId, team.ppg]));
+    const played = teams.map(team => team.ppg).filter(ppg => ppg > 0);
+    const leaguePPG = played.length > 0 ? played.reduce((sum, ppg) => sum + ppg, 0) / played.length : 0;
+    const teamStrength = (rosterId, week) =>
+      strength?.get(rosterId)?.[week]?.mean ?? (ppgs.get(rosterId) || leaguePPG);
+
+    const opponents = new Map(teams.map(team => [team.rosterId, []]));
+    this.getFuturePairings(futureMatchups).forEach((pairs, idx) => {
+      const week = currentWeek + idx;
+      pairs.forEach(([a, b]) => {
+        opponents.get(a)?.push(teamStrength(b, week));
+        opponents.get(b)?.push(teamStrength(a, week));
+      });
+    });
+
+    const schedules = teams
+      .filter(team => opponents.get(team.rosterId).length > 0)
+      .map(team => {
+        const faced = opponents.get(team.rosterId);
+        return {
+          rosterId: team.rosterId,
+          teamName: team.teamName || team.username,
+          games: faced.length,
+          opponentStrength: faced.reduce((sum, points) => sum + points, 0) / faced.length
+        };
+      });
+    if (schedules.length === 0) return [];
+
+    const average = schedules.reduce((sum, team) => sum + team.opponentStrength, 0) / schedules.length;
+    return schedules
+      .sort((a, b) => b.opponentStrength - a.opponentStrength)
+      .map((team, idx) => ({ ...team, vsAverage: team.opponentStrength - average, rank: idx + 1 }));
+  }
+
   /**
    * Calculate average points per game adjusting for BYE weeks
+   * Median games add results but no points, so only head-to-head games count
    */
   calculateAdjustedPPG(record, currentWeek) {
-    const gamesPlayed = record.wins + record.losses + record.ties;
+    const gamesPlayed = (record.wins - (record.medianWins || 0)) +
+      (record.losses - (record.medianLosses || 0)) +
+      (record.ties - (record.medianTies || 0));
     if (gamesPlayed === 0) return 0;
 
     // Simple PPG
@@ -128,115 +285,283 @@ export class StandingsAnalyzer {
   }
 
   /**
-   * Estimate team strength including future BYE weeks
+   * Project every team's score distribution for each week from its roster: the optimal lineup
+   * with byes and injuries accounted for, as a normal { mean, stdDev }
+   * Returns Map(rosterId -> { [week]: { mean, stdDev } }), or null without a planner
    */
-  async estimateTeamStrength(rosterId, rosters, currentWeek, remainingWeeks) {
-    const roster = rosters.find(r => r.roster_id === rosterId);
-    if (!roster) return 0;
+  async projectTeamStrength(leagueId, rosters, firstWeek, lastWeek) {
+    if (!this.planner || firstWeek > lastWeek) return null;
 
-    // Get base points per game from record
-    const record = roster.record || { pointsFor: 0, wins: 0, losses: 0, ties: 0 };
-    const gamesPlayed = record.wins + record.losses + record.ties;
-    const basePPG = gamesPlayed > 0 ? record.pointsFor / gamesPlayed : 0;
-
-    // Check for upcoming BYE weeks in remaining schedule
-    // This is simplified - in production you'd analyze actual roster
-    // Week 5-14 have various BYE weeks, adjust strength slightly
-    let byeWeekPenalty = 0;
-    for (let week = currentWeek; week <= currentWeek + remainingWeeks; week++) {
-      // Simplified: assume ~2-3 players affected per BYE week
-      if (week >= 5 && week <= 14) {
-        byeWeekPenalty += 0.5; // Small penalty per potential BYE week
+    const scoringSettings = await this.rosterService.getScoringSettings(leagueId);
+    const slots = (await this.rosterService.getRosterPositions(leagueId)).filter(isStartingSlot);
+
+    const projections = {};
+    for (let week = firstWeek; week <= lastWeek; week++) {
+      projections[week] = await this.rosterService.loadProjections(leagueId, week).catch(() => ({}));
+    }
+
+    const strength = new Map();
+    for (const roster of rosters) {
+      const formatted = await this.rosterService.formatRoster({ ...roster, league_id: leagueId });
+      const players = formatted.starters.concat(formatted.bench)
+        .filter(player => player.playerId && player.playerId !== '0');
+
+      const weeks = {};
+      for (let week = firstWeek; week <= lastWeek; week++) {
+        const plan = this.planner.planWeek(week, week - firstWeek, players, slots, projections[week], scoringSettings);
+        weeks[week] = lineupDistribution(plan.lineup
+          .filter(entry => entry.player)
+          .map(({ player }) => ({
+            projection: player.projection,
+            stdDev: getPointsStdDev(player.position, player.projection)
+          })));
       }
+      strength.set(roster.roster_id, weeks);
     }
 
-    return Math.max(0, basePPG - byeWeekPenalty);
+    return strength;
   }
 
   /**
-   * Simulate remaining season using Monte Carlo
+   * Pair up each future week's matchups: [[[rosterId1, rosterId2], ...], ...]
    */
-  async simulateRemainingSeason(
-    userRecord,
-    allRecords,
-    rosters,
-    futureMatchups,
-    currentWeek,
-    iterations = 1000
-  ) {
-    let playoffAppearances = 0;
-
-    for (let sim = 0; sim < iterations; sim++) {
-      // Create a copy of current records
-      const simRecords = allRecords.map(r => ({ ...r }));
-
-      // Simulate each remaining week
-      for (let weekIdx = 0; weekIdx < futureMatchups.length; weekIdx++) {
-        const weekMatchups = futureMatchups[weekIdx];
-        if (!weekMatchups || weekMatchups.length === 0) continue;
-
-        // Group by matchup_id
-        const matchupGroups = {};
-        weekMatchups.forEach(m => {
-          if (!matchupGroups[m.matchup_id]) {
-            matchupGroups[m.matchup_id] = [];
-          }
-          matchupGroups[m.matchup_id].push(m);
-        });
+  getFuturePairings(futureMatchups) {
+    return futureMatchups.map(weekMatchups => {
+      const matchupGroups = {};
+      (weekMatchups || []).forEach(m => {
+        if (m.matchup_id === null || m.matchup_id === undefined) return;
+        if (!matchupGroups[m.matchup_id]) {
+          matchupGroups[m.matchup_id] = [];
+        }
+        matchupGroups[m.matchup_id].push(m.roster_id);
+      });
+      return Object.values(matchupGroups).filter(pair => pair.length === 2);
+    });
+  }
+
+  /**
+   * Collect actual points from played playoff weeks: { [week]: Map(rosterId -> points) }
+   */
+  getPlayoffPoints(playoffMatchups, weekStart) {
+    const points = {};
+    playoffMatchups.forEach((weekMatchups, idx) => {
+      if (!weekMatchups || weekMatchups.length === 0) return;
+      points[weekStart + idx] = new Map(weekMatchups.map(m => [m.roster_id, m.points || 0]));
+    });
+    return points;
+  }
+
+  /**
+   * Simulate the rest of the regular season and the playoff bracket for the whole league (Monte Carlo)
+   * options.pinned forces results: [{ weekIdx, winnerId, loserId, points: [winner, loser] | null }]
+   * options.strength: weekly score distributions from projectTeamStrength() (points per game without)
+   * options.seed makes the run reproducible; options.median adds each week's game against the median
+   * Returns per-team playoff, bye, semifinal, final and title odds, seed distribution and projected record,
+   * plus the user's most likely bracket paths
+   */
+  simulateLeague(allRecords, futureMatchups, bracket, iterations = SIMULATION_ITERATIONS, options = {}) {
+    const {
+      userRosterId = null,
+      playoffPoints = {},
+      completedWeek = 0,
+      tiebreakers = getTiebreakers({}),
+      pinned = [],
+      strength = null,
+      seed = randomSeed(),
+      median = false
+    } = options;
+    const pairings = this.getFuturePairings(futureMatchups);
+    const random = createRandom(seed);
+
+    // Forced results, looked up by "weekIdx:rosterId" for both teams in the game
+    const pins = new Map();
+    pinned.forEach(pin => {
+      pins.set(`${pin.weekIdx}:${pin.winnerId}`, pin);
+      pins.set(`${pin.weekIdx}:${pin.loserId}`, pin);
+    });
+    const { teams: playoffTeams, byes, weekStart, roundLengths, reseed, loserBracket } = bracket;
+    const teamCount = allRecords.length;
+
+    // Teams without games yet score like the league average
+    const ppgs = allRecords.map(r => this.calculateAdjustedPPG(r));
+    const playedPPGs = ppgs.filter(ppg => ppg > 0);
+    const leagueAvgPPG = playedPPGs.length > 0 ? playedPPGs.reduce((sum, ppg) => sum + ppg, 0) / playedPPGs.length : 100;
+    const ppgById = new Map(allRecords.map((r, idx) => [r.rosterId, ppgs[idx] || leagueAvgPPG]));
+
+    const simulatePoints = (rosterId, week) => {
+      const projected = strength?.get(rosterId)?.[week];
+      if (projected && projected.mean > 0) {
+        return Math.max(0, sampleNormal(random, projected.mean, projected.stdDev));
+      }
+      const ppg = ppgById.get(rosterId);
+      return Math.max(0, sampleNormal(random, ppg, ppg * PPG_VOLATILITY));
+    };
+
+    // Playoff weeks already played use the real score
+    const weekPoints = (rosterId, week) => playoffPoints[week]?.get(rosterId) ?? simulatePoints(rosterId, week);
 
-        // Simulate each matchup
-        Object.values(matchupGroups).forEach(matchup => {
-          if (matchup.length === 2) {
-            const [team1, team2] = matchup;
-
-            // Get team records
-            const record1 = simRecords.find(r => r.rosterId === team1.roster_id);
-            const record2 = simRecords.find(r => r.rosterId === team2.roster_id);
-
-            if (!record1 || !record2) return;
-
-            // Estimate points based on PPG with randomness
-            const ppg1 = this.calculateAdjustedPPG(record1, currentWeek + weekIdx);
-            const ppg2 = this.calculateAdjustedPPG(record2, currentWeek + weekIdx);
-
-            // Add variance (±20% standard deviation)
-            const points1 = ppg1 * (0.8 + Math.random() * 0.4);
-            const points2 = ppg2 * (0.8 + Math.random() * 0.4);
-
-            // Update records
-            if (points1 > points2) {
-              record1.wins++;
-              record2.losses++;
-            } else if (points2 > points1) {
-              record2.wins++;
-              record1.losses++;
-            } else {
-              record1.ties++;
-              record2.ties++;
-            }
-
-            record1.pointsFor += points1;
-            record2.pointsFor += points2;
+    // First week of each round; consolation rounds past the final run a week at a time
+    const roundStartWeek = roundIdx => weekStart +
+      roundLengths.slice(0, roundIdx).reduce((sum, len) => sum + len, 0) +
+      Math.max(0, roundIdx - roundLengths.length);
+
+    const roundPoints = (rosterId, roundIdx) => {
+      const start = roundStartWeek(roundIdx);
+      let points = 0;
+      for (let week = start; week < start + (roundLengths[roundIdx] || 1); week++) {
+        points += weekPoints(rosterId, week);
+      }
+      return points;
+    };
+
+    const totals = new Map(allRecords.map(r => [r.rosterId, {
+      playoffs: 0,
+      byes: 0,
+      semis: 0,
+      finals: 0,
+      titles: 0,
+      loserBracket: 0,
+      seeds: new Array(teamCount).fill(0),
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      pointsFor: 0
+    }]));
+    const userPaths = new Map();
+
+    // Once the regular season and the whole bracket are played, one deterministic "simulation" is enough
+    const lastPlayoffWeek = roundStartWeek(roundLengths.length) - 1;
+    const runs = pairings.some(week => week.length > 0) || completedWeek < lastPlayoffWeek ? iterations : 1;
+
+    for (let sim = 0; sim < runs; sim++) {
+      const simRecords = new Map(allRecords.map(r => [r.rosterId, cloneRecord(r)]));
+
+      pairings.forEach((week, weekIdx) => {
+        const weekScores = [];
+        week.forEach(([id1, id2]) => {
+          const record1 = simRecords.get(id1);
+          const record2 = simRecords.get(id2);
+          if (!record1 || !record2) return;
+
+          let points1 = simulatePoints(id1, completedWeek + 1 + weekIdx);
+          let points2 = simulatePoints(id2, completedWeek + 1 + weekIdx);
+          const pin = pins.get(`${weekIdx}:${id1}`);
+          if (pin) {
+            // A pinned score is used as-is; a pinned winner gets the higher simulated score
+            const [winnerPoints, loserPoints] = pin.points || [Math.max(points1, points2), Math.min(points1, points2)];
+            [points1, points2] = pin.winnerId === id1 ? [winnerPoints, loserPoints] : [loserPoints, winnerPoints];
           }
+
+          addGameResult(record1, record2, points1, points2);
+          weekScores.push({ record: record1, points: points1 }, { record: record2, points: points2 });
         });
-      }
 
-      // Sort final standings
-      const finalStandings = simRecords.sort((a, b) => {
-        if (b.wins !== a.wins) return b.wins - a.wins;
-        return b.pointsFor - a.pointsFor;
+        if (median) {
+          addMedianResults(weekScores);
+        }
+      });
+
+      // Seed the final standings with the same rules as the live table; coin flips are redrawn every run
+      const coin = new Map([...simRecords.keys()].map(id => [id, random()]));
+      const seeded = seedStandings([...simRecords.values()], tiebreakers, playoffTeams, coin);
+      seeded.forEach((record, idx) => {
+        const total = totals.get(record.rosterId);
+        total.seeds[idx]++;
+        if (idx < playoffTeams) total.playoffs++;
+        if (idx < byes) total.byes++;
+        total.wins += record.wins;
+        total.losses += record.losses;
+        total.ties += record.ties;
+        total.pointsFor += record.pointsFor;
       });
 
-      // Check if user made playoffs
-      const userFinalRecord = finalStandings.find(r => r.rosterId === userRecord.rosterId);
-      const userFinalRank = finalStandings.indexOf(userFinalRecord) + 1;
+      // Play the brackets - a tied round goes to the better seed
+      const seedIds = seeded.map(r => r.rosterId);
+      const seedOf = new Map(seedIds.map((id, idx) => [id, idx]));
+      const playGame = (id1, id2, roundIdx) => {
+        const points1 = roundPoints(id1, roundIdx);
+        const points2 = roundPoints(id2, roundIdx);
+        if (points1 !== points2) return points1 > points2 ? id1 : id2;
+        return seedOf.get(id1) < seedOf.get(id2) ? id1 : id2;
+      };
+
+      const playoffs = playBracket(seedIds.slice(0, playoffTeams), { reseed }, playGame);
+      // A two-team bracket goes straight to the final, with no semifinal
+      const semis = playoffs.rounds.find(round => round.teams.length > 2 && round.teams.length <= 4);
+      const final = playoffs.rounds[playoffs.rounds.length - 1];
+      semis?.teams.forEach(id => totals.get(id).semis++);
+      final.teams.forEach(id => totals.get(id).finals++);
+      totals.get(playoffs.champion).titles++;
+
+      // Consolation: the best non-playoff team is the top seed; toilet bowl: the worst team is, and losers advance
+      const nonPlayoff = seedIds.slice(playoffTeams);
+      if (nonPlayoff.length >= 2) {
+        const toilet = loserBracket === 'toilet';
+        const losers = playBracket(toilet ? [...nonPlayoff].reverse() : nonPlayoff, { reseed, losersAdvance: toilet }, playGame);
+        totals.get(losers.champion).loserBracket++;
+      }
+
+      if (userRosterId !== null && seedOf.has(userRosterId)) {
+        const path = this.getBracketPath(userRosterId, seedOf.get(userRosterId) + 1, playoffs);
+        const entry = userPaths.get(path.key) || { ...path, count: 0 };
+        entry.count++;
+        userPaths.set(path.key, entry);
+      }
+    }
+
+    const odds = {};
+    totals.forEach((total, rosterId) => {
+      odds[rosterId] = {
+        rosterId,
+        playoffOdds: (total.playoffs / runs) * 100,
+        byeOdds: (total.byes / runs) * 100,
+        semisOdds: playoffTeams > 2 ? (total.semis / runs) * 100 : null,
+        finalOdds: (total.finals / runs) * 100,
+        titleOdds: (total.titles / runs) * 100,
+        loserBracketOdds: (total.loserBracket / runs) * 100,
+        seedDistribution: total.seeds.map(count => (count / runs) * 100),
+        projectedRecord: {
+          wins: total.wins / runs,
+          losses: total.losses / runs,
+          ties: total.ties / runs
+        },
+        projectedPointsFor: total.pointsFor / runs
+      };
+    });
+
+    const likelyPaths = [...userPaths.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3)
+      .map(({ count, key, ...path }) => ({ ...path, probability: (count / runs) * 100 }));
+
+    return { odds, iterations: runs, seed, projected: Boolean(strength), playoffTeams, byes, bracket, likelyPaths };
+  }
+
+  /**
+   * A team's route through one simulated bracket: { seed, steps: [{ round, opponent, won, bye }], champion }
+   */
+  getBracketPath(rosterId, seed, playoffs) {
+    if (!playoffs.rounds[0]?.teams.includes(rosterId)) {
+      return { key: 'out', seed, missedPlayoffs: true, steps: [], champion: false };
+    }
 
-      if (userFinalRank <= 6) { // Assuming 6 playoff teams
-        playoffAppearances++;
+    const steps = [];
+    for (const round of playoffs.rounds) {
+      if (!round.teams.includes(rosterId)) break;
+      const game = round.games.find(g => g.teams.includes(rosterId));
+      if (!game) {
+        steps.push({ round: round.name, bye: true });
+        continue;
       }
+      steps.push({
+        round: round.name,
+        opponent: game.teams.find(id => id !== rosterId),
+        won: game.winner === rosterId
+      });
     }
 
-    return (playoffAppearances / iterations) * 100;
+    const key = [seed, ...steps.map(step => step.bye ? 'bye' : `${step.opponent}:${step.won}`)].join('|');
+    return { key, seed, missedPlayoffs: false, steps, champion: playoffs.champion === rosterId };
   }
 
   /**
@@ -248,18 +573,34 @@ export class StandingsAnalyzer {
     league,
     currentWeek,
     rosters,
-    leagueId
+    leagueId,
+    {
+      playoffPoints = {},
+      tiebreakers = getTiebreakers(league),
+      iterations = SIMULATION_ITERATIONS,
+      seed = randomSeed(),
+      strength = null,
+      median = false,
+      futureMatchups: scheduledMatchups = null
+    } = {}
   ) {
     const totalTeams = allRecords.length;
-    const playoffTeams = league.settings?.playoff_teams || Math.floor(totalTeams / 2);
-    const regularSeasonWeeks = (league.settings?.playoff_week_start || 15) - 1;
-    const weeksRemaining = regularSeasonWeeks - currentWeek + 1;
-
-    // Sort teams by wins, then points
-    const sortedRecords = [...allRecords].sort((a, b) => {
-      if (b.wins !== a.wins) return b.wins - a.wins;
-      return b.pointsFor - a.pointsFor;
-    });
+    const bracket = getBracketSettings(league, totalTeams);
+    const playoffTeams = bracket.teams;
+    const regularSeasonWeeks = bracket.weekStart - 1;
+    const simulationOptions = {
+      userRosterId: record.rosterId,
+      playoffPoints,
+      completedWeek: currentWeek - 1,
+      tiebreakers,
+      seed,
+      strength,
+      median
+    };
+    const weeksRemaining = Math.max(0, regularSeasonWeeks - currentWeek + 1);
+
+    // Sort teams by standings order
+    const sortedRecords = seedStandings(allRecords, tiebreakers, playoffTeams);
 
     const currentRank = sortedRecords.findIndex(r => r.rosterId === record.rosterId) + 1;
 
@@ -267,45 +608,38 @@ export class StandingsAnalyzer {
     const gamesPlayed = record.wins + record.losses + record.ties;
     const winPct = gamesPlayed > 0 ? (record.wins + record.ties * 0.5) / gamesPlayed : 0;
 
-    // Edge case: no weeks remaining
+    // Edge case: no weeks remaining - the standings are final
     if (weeksRemaining === 0) {
       return {
         probability: currentRank <= playoffTeams ? 100 : 0,
         currentRank,
         playoffTeams,
         weeksRemaining,
-        status: currentRank <= playoffTeams ? 'IN' : 'OUT'
+        status: currentRank <= playoffTeams ? 'IN' : 'OUT',
+        simulation: this.simulateLeague(allRecords, [], bracket, iterations, simulationOptions)
       };
     }
 
     // Get remaining schedule
     let futureMatchups = [];
     try {
-      futureMatchups = await this.getRemainingSchedule(leagueId, currentWeek, regularSeasonWeeks);
+      futureMatchups = scheduledMatchups ?? await this.getRemainingSchedule(leagueId, currentWeek, regularSeasonWeeks);
     } catch (error) {
       // Fall back to simple calculation if we can't get schedule
     }
 
     // Calculate probability using Monte Carlo simulation if we have matchups
     let probability = 0;
+    let simulation = null;
 
     if (futureMatchups.length > 0 && futureMatchups.some(m => m.length > 0)) {
-      // Use simulation for more accurate probability
-      probability = await this.simulateRemainingSeason(
-        record,
-        allRecords,
-        rosters,
-        futureMatchups,
-        currentWeek,
-        500 // iterations
-      );
+      // Simulate the whole league once - every team's odds come from the same runs
+      simulation = this.simulateLeague(allRecords, futureMatchups, bracket, iterations, simulationOptions);
+      probability = simulation.odds[record.rosterId]?.playoffOdds ?? 0;
     } else {
       // Fallback to heuristic-based calculation
       const avgPPG = this.calculateAdjustedPPG(record, currentWeek);
-      const leagueAvgPPG = allRecords.reduce((sum, r) => {
-        const games = r.wins + r.losses + r.ties;
-        return sum + (games > 0 ? r.pointsFor / games : 0);
-      }, 0) / allRecords.length;
+      const leagueAvgPPG = allRecords.reduce((sum, r) => sum + this.calculateAdjustedPPG(r, currentWeek), 0) / allRecords.length;
 
       // Base probability on current position
       if (currentRank <= playoffTeams) {
@@ -343,14 +677,18 @@ export class StandingsAnalyzer {
       currentRank,
       playoffTeams,
       weeksRemaining,
-      status: currentRank <= playoffTeams ? 'IN' : 'OUT'
+      status: currentRank <= playoffTeams ? 'IN' : 'OUT',
+      simulation
     };
   }
 
   /**
    * Get complete standings analysis
+   * options.tiebreakers overrides the league's tiebreak rules (see tiebreakers.js)
+   * options.iterations and options.seed control the Monte Carlo simulation
+   * options.median forces median scoring on or off (default: league settings)
    */
-  async analyzeStandings(userId, leagueId) {
+  async analyzeStandings(userId, leagueId, options = {}) {
     const currentWeek = await this.rosterService.getCurrentWeek();
     const league = await this.api.getLeague(leagueId);
     const rosters = await this.api.getLeagueRosters(leagueId);
@@ -359,8 +697,24 @@ export class StandingsAnalyzer {
     // Get matchup history
     const allMatchups = await this.getSeasonMatchups(leagueId, currentWeek);
 
-    // Calculate records
-    const records = this.calculateRecords(rosters, allMatchups);
+    // Only regular season games count toward the standings; playoff weeks feed the bracket
+    const bracket = getBracketSettings(league, rosters.length);
+    const { weekStart, teams: playoffTeams } = bracket;
+    const tiebreakers = getTiebreakers(league, options.tiebreakers);
+    const divisionNames = this.getDivisionNames(league);
+    const medianScoring = usesMedianScoring(league, options.median);
+    const records = this.calculateRecords(rosters, allMatchups.slice(0, weekStart - 1), { median: medianScoring });
+    const playoffPoints = this.getPlayoffPoints(allMatchups.slice(weekStart - 1), weekStart);
+
+    // Weekly score distributions from each roster, through the last playoff week
+    const lastPlayoffWeek = weekStart + bracket.roundLengths.reduce((sum, len) => sum + len, 0) - 1;
+    const strength = await this.projectTeamStrength(leagueId, rosters, currentWeek, lastPlayoffWeek).catch(() => null);
+    const simulationSettings = {
+      iterations: options.iterations || SIMULATION_ITERATIONS,
+      seed: options.seed ?? randomSeed(),
+      strength,
+      median: medianScoring
+    };
 
     // Add user info
     const recordsWithUsers = Object.values(records).map(record => {
@@ -368,19 +722,22 @@ export class StandingsAnalyzer {
       return {
         ...record,
         teamName: user?.metadata?.team_name || user?.display_name || 'Unknown',
-        username: user?.display_name || 'Unknown'
+        username: user?.display_name || 'Unknown',
+        divisionName: record.division !== null ? divisionNames[record.division] || `Division ${record.division}` : null
       };
     });
 
     // Calculate power rankings
-    const powerRankings = this.calculatePowerRankings(recordsWithUsers);
+    const powerRankings = this.calculatePowerRankings(recordsWithUsers, allMatchups.slice(0, weekStart - 1));
 
-    // Sort by standings (wins first, then points)
-    const standings = [...recordsWithUsers].sort((a, b) => {
-      if (b.wins !== a.wins) return b.wins - a.wins;
-      if (b.ties !== a.ties) return b.ties - a.ties;
-      return b.pointsFor - a.pointsFor;
-    });
+    // Remaining regular season schedule, shared by the strength of schedule and the simulation
+    const futureMatchups = currentWeek < weekStart ?
+      await this.getRemainingSchedule(leagueId, currentWeek, weekStart - 1).catch(() => []) :
+      [];
+    const scheduleStrength = this.calculateScheduleStrength(powerRankings, futureMatchups, currentWeek, strength);
+
+    // Seed the standings: win percentage, the league's tiebreakers, division winners guaranteed a spot
+    const standings = seedStandings(recordsWithUsers, tiebreakers, playoffTeams);
 
     // Find user's team
     const userRoster = rosters.find(r => r.owner_id === userId);
@@ -400,9 +757,20 @@ export class StandingsAnalyzer {
       league,
       currentWeek,
       rosters,
-      leagueId
+      leagueId,
+      { playoffPoints, tiebreakers, futureMatchups, ...simulationSettings }
     );
 
+    // League-wide odds table, in current standings order
+    const simulation = playoffProb.simulation;
+    const leagueOdds = simulation ?
+      standings.map((team, idx) => ({
+        ...simulation.odds[team.rosterId],
+        teamName: team.teamName || team.username,
+        currentSeed: idx + 1
+      })) :
+      null;
+
     return {
       userRecord: {
         ...userRecord,
@@ -412,12 +780,167 @@ export class StandingsAnalyzer {
       },
       standings,
       powerRankings,
+      scheduleStrength,
       playoffProb,
+      leagueOdds,
+      tiebreakers,
+      bracket,
+      simulationSettings,
+      medianScoring,
+      hasDivisions: standings.some(team => team.divisionWinner),
       leagueSize: standings.length,
       currentWeek
     };
   }
 
+  /**
+   * Division names by division number (Sleeper league metadata division_1, division_2, ...)
+   */
+  getDivisionNames(league) {
+    const names = {};
+    for (let division = 1; division <= (league.settings?.divisions || 0); division++) {
+      names[division] = league.metadata?.[`division_${division}`] || `Division ${division}`;
+    }
+    return names;
+  }
+
+  /**
+   * Find a team by roster ID or (part of) its name
+   */
+  findTeam(teams, query) {
+    if (/^\d+$/.test(query)) {
+      const team = teams.find(t => String(t.rosterId) === query);
+      if (team) return team;
+    }
+
+    const needle = query.toLowerCase();
+    const exact = teams.filter(t => (t.teamName || '').toLowerCase() === needle);
+    const matches = exact.length > 0 ? exact : teams.filter(t => (t.teamName || '').toLowerCase().includes(needle));
+    if (matches.length === 0) {
+      throw new Error(`No team matches '${query}'`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`'${query}' matches several teams (${matches.map(t => t.teamName).join(', ')}) - use a roster ID`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Re-run the season simulation with some future matchups forced, and compare every
+   * team's odds with the baseline from analyzeStandings()
+   * whatIfs: parsed with parseWhatIf()
+   */
+  async analyzeWhatIf(analysis, leagueId, whatIfs) {
+    const { currentWeek, standings: teams } = analysis;
+    const weeksRemaining = analysis.playoffProb.weeksRemaining;
+    if (weeksRemaining === 0) {
+      throw new Error('The regular season is over - there are no matchups left to pin');
+    }
+
+    const lastWeek = currentWeek + weeksRemaining - 1;
+    const futureMatchups = await this.getRemainingSchedule(leagueId, currentWeek, lastWeek);
+    const pairings = this.getFuturePairings(futureMatchups);
+    const names = new Map(teams.map(team => [team.rosterId, team.teamName || team.username]));
+
+    const pinned = whatIfs.map(whatIf => {
+      if (whatIf.week < currentWeek || whatIf.week > lastWeek) {
+        throw new Error(`Week ${whatIf.week} in '${whatIf.spec}' isn't a remaining regular season week (${currentWeek}-${lastWeek})`);
+      }
+
+      const weekIdx = whatIf.week - currentWeek;
+      const winner = this.findTeam(teams, whatIf.team);
+      const game = pairings[weekIdx]?.find(pair => pair.includes(winner.rosterId));
+      if (!game) {
+        throw new Error(`${names.get(winner.rosterId)} has no matchup in week ${whatIf.week}`);
+      }
+
+      const loserId = game.find(id => id !== winner.rosterId);
+      return {
+        week: whatIf.week,
+        weekIdx,
+        winnerId: winner.rosterId,
+        loserId,
+        winnerName: names.get(winner.rosterId),
+        loserName: names.get(loserId),
+        points: whatIf.points
+      };
+    });
+
+    pinned.forEach((pin, idx) => {
+      const clash = pinned.slice(0, idx).find(other => other.weekIdx === pin.weekIdx && [other.winnerId, other.loserId].includes(pin.winnerId));
+      if (clash) {
+        throw new Error(`Week ${pin.week} ${pin.winnerName} vs ${pin.loserName} is pinned twice`);
+      }
+    });
+
+    // Same seed as the baseline, so only the pinned games differ between the two runs
+    const { iterations, seed, strength, median } = analysis.simulationSettings;
+    const options = {
+      userRosterId: analysis.userRecord.rosterId,
+      completedWeek: currentWeek - 1,
+      tiebreakers: analysis.tiebreakers,
+      seed,
+      strength,
+      median
+    };
+    const baseline = analysis.playoffProb.simulation ||
+      this.simulateLeague(teams, futureMatchups, analysis.bracket, iterations, options);
+    const simulation = this.simulateLeague(teams, futureMatchups, analysis.bracket, iterations, { ...options, pinned });
+
+    return {
+      pinned,
+      iterations: simulation.iterations,
+      byes: analysis.bracket.byes,
+      teams: teams.map(team => ({
+        rosterId: team.rosterId,
+        teamName: names.get(team.rosterId),
+        baseline: baseline.odds[team.rosterId],
+        whatIf: simulation.odds[team.rosterId]
+      }))
+    };
+  }
+
+  /**
+   * Format what-if odds next to the baseline
+   */
+  formatWhatIf(whatIf, userRosterId) {
+    const lines = [];
+    const pct = value => value >= 99.95 ? '100%' : value > 0 && value < 0.5 ? '<1%' : `${value.toFixed(0)}%`;
+    const delta = (after, before) => {
+      const change = Math.round(after) - Math.round(before);
+      return change === 0 ? '' : `(${change > 0 ? '+' : ''}${change})`;
+    };
+    const cell = (after, before) => `${pct(after).padStart(5)} ${delta(after, before).padEnd(6)}`;
+
+    lines.push('\n🔮 WHAT IF:');
+    whatIf.pinned.forEach(pin => {
+      const score = pin.points ? ` ${pin.points[0].toFixed(1)}-${pin.points[1].toFixed(1)}` : '';
+      lines.push(`   Week ${pin.week}: ${pin.winnerName} beats ${pin.loserName}${score}`);
+    });
+
+    const user = whatIf.teams.find(team => team.rosterId === userRosterId);
+    if (user) {
+      lines.push(`Your playoff odds: ${pct(user.baseline.playoffOdds)} → ${pct(user.whatIf.playoffOdds)}`);
+    }
+    lines.push('');
+
+    const byes = whatIf.byes > 0;
+    lines.push(`      ${'Team'.padEnd(26)}${'Playoffs'.padEnd(12)}${byes ? 'Bye'.padEnd(12) : ''}Title`);
+    lines.push('─'.repeat(byes ? 72 : 60));
+
+    [...whatIf.teams]
+      .sort((a, b) => b.whatIf.playoffOdds - a.whatIf.playoffOdds)
+      .forEach(team => {
+        const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+        const teamName = team.teamName.padEnd(24).substring(0, 24);
+        const bye = byes ? cell(team.whatIf.byeOdds, team.baseline.byeOdds) : '';
+        lines.push(`${marker}    ${teamName}  ${cell(team.whatIf.playoffOdds, team.baseline.playoffOdds)}${bye}${cell(team.whatIf.titleOdds, team.baseline.titleOdds)}`.trimEnd());
+      });
+    lines.push(`(${whatIf.iterations} simulations; changes in parentheses are percentage points vs. the baseline)`);
+
+    return lines.join('\n');
+  }
+
   /**
    * Format standings for display
    */
@@ -433,9 +956,20 @@ export class StandingsAnalyzer {
 
     lines.push(`YOUR TEAM: ${record.teamName || 'Unknown'}`);
     lines.push(`Record: ${record.wins}-${record.losses}${record.ties > 0 ? `-${record.ties}` : ''} (${winPct}% win rate)`);
+    if (analysis.medianScoring) {
+      const h2h = `${record.wins - record.medianWins}-${record.losses - record.medianLosses}${record.ties - record.medianTies > 0 ? `-${record.ties - record.medianTies}` : ''}`;
+      const vsMedian = `${record.medianWins}-${record.medianLosses}${record.medianTies > 0 ? `-${record.medianTies}` : ''}`;
+      lines.push(`   Head-to-head: ${h2h} | vs league median: ${vsMedian}`);
+    }
     lines.push(`Points For: ${record.pointsFor.toFixed(1)} | Points Against: ${record.pointsAgainst.toFixed(1)}`);
     lines.push(`League Standing: #${record.standing} of ${analysis.leagueSize}`);
-    lines.push(`Power Ranking: #${record.powerRank} of ${analysis.leagueSize}`);
+    const power = analysis.powerRankings.find(team => team.rosterId === record.rosterId);
+    const luck = power ? ` (all-play ${power.allPlay.wins}-${power.allPlay.losses}, luck ${power.luck >= 0 ? '+' : ''}${power.luck.toFixed(1)} wins)` : '';
+    lines.push(`Power Ranking: #${record.powerRank} of ${analysis.leagueSize}${luck}`);
+    const schedule = analysis.scheduleStrength.find(team => team.rosterId === record.rosterId);
+    if (schedule) {
+      lines.push(`Remaining Schedule: #${schedule.rank} hardest of ${analysis.scheduleStrength.length} (opponents average ${schedule.opponentStrength.toFixed(1)} projected, ${schedule.vsAverage >= 0 ? '+' : ''}${schedule.vsAverage.toFixed(1)} vs league)`);
+    }
     lines.push('');
 
     // Playoff probability
@@ -449,8 +983,8 @@ export class StandingsAnalyzer {
 
     // Full standings
     lines.push('FULL STANDINGS:');
-    lines.push('Rank  Team                        W-L-T    PF       PA       ');
-    lines.push('─'.repeat(65));
+    lines.push(`Rank  Team                        W-L-T    PF       PA       ${analysis.hasDivisions ? 'Division' : ''}`);
+    lines.push('─'.repeat(analysis.hasDivisions ? 80 : 65));
 
     analysis.standings.forEach((team, idx) => {
       const isUser = team.rosterId === record.rosterId;
@@ -461,25 +995,160 @@ export class StandingsAnalyzer {
       const pf = team.pointsFor.toFixed(1).padStart(7);
       const pa = team.pointsAgainst.toFixed(1).padStart(7);
 
-      lines.push(`${marker}${rank} ${teamName} ${recordStr} ${pf}  ${pa}`);
+      const division = analysis.hasDivisions ? `  ${team.divisionName || ''}${team.divisionWinner ? ' *' : ''}` : '';
+
+      lines.push(`${marker}${rank} ${teamName} ${recordStr} ${pf}  ${pa}${division}`);
     });
 
+    const tiebreakers = analysis.tiebreakers.map(rule => TIEBREAKERS[rule]).join(', ');
+    lines.push(`${analysis.hasDivisions ? '* Division leader (guaranteed a playoff spot) | ' : ''}Ties broken by: ${tiebreakers}`);
+    if (analysis.medianScoring) {
+      lines.push('Records include a weekly game against the league median score');
+    }
     lines.push('');
 
+    if (analysis.leagueOdds) {
+      lines.push(...this.formatLeagueOdds(analysis.leagueOdds, prob, record.rosterId));
+      lines.push('');
+      lines.push(...this.formatBracketOdds(analysis.leagueOdds, prob, record.rosterId));
+      lines.push('');
+    }
+
     // Power Rankings
-    lines.push('POWER RANKINGS (by points scored):');
-    lines.push('─'.repeat(65));
+    const weights = `${POWER_WEIGHTS.allPlay * 100}% all-play win rate, ${POWER_WEIGHTS.scoring * 100}% points per game, ${POWER_WEIGHTS.recentForm * 100}% last ${RECENT_FORM_WEEKS} weeks`;
+    lines.push(`POWER RANKINGS (${weights}):`);
+    lines.push(`Rank  ${'Team'.padEnd(27)}${'Score'.padStart(5)}${'All-Play'.padStart(10)}${'Exp W'.padStart(9)}${'Luck'.padStart(7)}${'PF/G'.padStart(8)}${'PA Rk'.padStart(7)}  Last ${RECENT_FORM_WEEKS}`);
+    lines.push('─'.repeat(95));
 
-    analysis.powerRankings.slice(0, 10).forEach(team => {
+    analysis.powerRankings.forEach(team => {
       const isUser = team.rosterId === record.rosterId;
       const marker = isUser ? '→ ' : '  ';
       const rank = `${team.powerRank}.`.padEnd(5);
       const teamName = (team.teamName || team.username).padEnd(24).substring(0, 24);
-      const pf = team.pointsFor.toFixed(1).padStart(7);
-
-      lines.push(`${marker}${rank} ${teamName} ${pf} pts`);
+      const score = team.powerScore.toFixed(0).padStart(5);
+      const allPlay = `${team.allPlay.wins}-${team.allPlay.losses}${team.allPlay.ties > 0 ? `-${team.allPlay.ties}` : ''}`.padStart(9);
+      const expected = team.expectedWins.toFixed(1).padStart(8);
+      const luck = `${team.luck >= 0 ? '+' : ''}${team.luck.toFixed(1)}`.padStart(6);
+      const ppg = team.ppg.toFixed(1).padStart(7);
+      const paRank = `#${team.paRank}`.padStart(6);
+      const form = team.recentForm;
+      const recent = form.weeks > 0 ? `${form.wins}-${form.losses}, ${form.ppg.toFixed(1)}` : '-';
+
+      lines.push(`${marker}${rank} ${teamName}${score} ${allPlay} ${expected} ${luck} ${ppg} ${paRank}  ${recent}`);
     });
+    lines.push('All-Play: record if you had played every team every week. Exp W: wins an average schedule would have produced.');
+    lines.push(`Luck: actual minus expected head-to-head wins. PA Rk: #1 faced the most points. Last ${RECENT_FORM_WEEKS}: record and points per game.`);
+
+    if (analysis.scheduleStrength.length > 0) {
+      lines.push('');
+      lines.push(...this.formatScheduleStrength(analysis.scheduleStrength, record.rosterId));
+    }
 
     return lines.join('\n');
   }
+
+  /**
+   * Format the remaining strength of schedule table, hardest first
+   */
+  formatScheduleStrength(scheduleStrength, userRosterId) {
+    const lines = [];
+    lines.push('REMAINING STRENGTH OF SCHEDULE (hardest first):');
+    lines.push(`Rank  ${'Team'.padEnd(26)}${'Games'.padStart(6)}${'Opp Proj'.padStart(10)}${'vs Avg'.padStart(8)}`);
+    lines.push('─'.repeat(56));
+
+    scheduleStrength.forEach(team => {
+      const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+      const rank = `${team.rank}.`.padEnd(5);
+      const teamName = team.teamName.padEnd(24).substring(0, 24);
+      const vsAverage = `${team.vsAverage >= 0 ? '+' : ''}${team.vsAverage.toFixed(1)}`;
+      lines.push(`${marker}${rank} ${teamName}${String(team.games).padStart(6)}${team.opponentStrength.toFixed(1).padStart(10)}${vsAverage.padStart(8)}`);
+    });
+    lines.push('Opp Proj: average projected score of the remaining regular season opponents.');
+
+    return lines;
+  }
+
+  /**
+   * Format the league-wide playoff odds table and seed distribution
+   */
+  formatLeagueOdds(leagueOdds, prob, userRosterId) {
+    const lines = [];
+    const { iterations, byes, seed, projected } = prob.simulation;
+    const pct = value => value >= 99.95 ? '100%' : value > 0 && value < 0.5 ? '<1%' : `${value.toFixed(0)}%`;
+
+    lines.push(`PLAYOFF ODDS (${iterations} simulation${iterations === 1 ? '' : 's'}, top ${prob.playoffTeams} make playoffs${byes > 0 ? `, top ${byes} get a bye` : ''}):`);
+    lines.push(`Team strength: ${projected ? 'weekly roster projections' : 'points per game so far'} | seed ${seed} (--seed ${seed} reproduces this run)`);
+    lines.push(`Seed  Team                        Proj W-L    Playoffs${byes > 0 ? '  Bye ' : ''}  Likely Seed`);
+    lines.push('─'.repeat(75));
+
+    leagueOdds.forEach(team => {
+      const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+      const seed = `${team.currentSeed}.`.padEnd(5);
+      const teamName = team.teamName.padEnd(24).substring(0, 24);
+      const { wins, losses, ties } = team.projectedRecord;
+      const projected = `${wins.toFixed(1)}-${losses.toFixed(1)}${ties >= 0.05 ? `-${ties.toFixed(1)}` : ''}`.padEnd(11);
+      const playoffs = pct(team.playoffOdds).padStart(8);
+      const bye = byes > 0 ? pct(team.byeOdds).padStart(6) : '';
+      const likely = team.seedDistribution.reduce((best, p, idx) => p > team.seedDistribution[best] ? idx : best, 0);
+
+      lines.push(`${marker}${seed} ${teamName} ${projected} ${playoffs}${bye}  #${likely + 1} (${pct(team.seedDistribution[likely])})`);
+    });
+
+    lines.push('');
+    lines.push('SEED DISTRIBUTION (% chance of finishing at each seed):');
+    const seeds = leagueOdds.length;
+    lines.push(`  ${'Team'.padEnd(20)}${Array.from({ length: seeds }, (_, idx) => String(idx + 1).padStart(5)).join('')}`);
+    lines.push('─'.repeat(22 + seeds * 5));
+
+    leagueOdds.forEach(team => {
+      const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+      const cells = team.seedDistribution.map(p => (p === 0 ? '.' : p < 0.5 ? '<1' : p.toFixed(0)).padStart(5));
+      lines.push(`${marker}${team.teamName.padEnd(20).substring(0, 20)}${cells.join('')}`);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Format playoff bracket odds and the user's most likely bracket paths
+   */
+  formatBracketOdds(leagueOdds, prob, userRosterId) {
+    const lines = [];
+    const { bracket, likelyPaths } = prob.simulation;
+    const pct = value => value === null ? '-' : value >= 99.95 ? '100%' : value > 0 && value < 0.5 ? '<1%' : value === 0 ? '-' : `${value.toFixed(0)}%`;
+    const names = new Map(leagueOdds.map(team => [team.rosterId, team.teamName]));
+    const toilet = bracket.loserBracket === 'toilet';
+    const roundWeeks = bracket.roundLengths.some(len => len > 1) ?
+      ` (rounds: ${bracket.roundLengths.map(len => `${len} wk`).join(', ')})` : '';
+
+    lines.push(`PLAYOFF BRACKET ODDS (starts week ${bracket.weekStart}${roundWeeks}${bracket.reseed ? ', reseeded each round' : ''}):`);
+    const columns = ['Playoffs', 'Semis', 'Final', 'Title', toilet ? 'Toilet' : 'Consol.'];
+    lines.push(`Seed  ${'Team'.padEnd(27)}${columns.map(col => col.padStart(8)).join('')}`);
+    lines.push('─'.repeat(75));
+
+    [...leagueOdds]
+      .sort((a, b) => b.titleOdds - a.titleOdds || b.playoffOdds - a.playoffOdds)
+      .forEach(team => {
+        const marker = team.rosterId === userRosterId ? '→ ' : '  ';
+        const seed = `${team.currentSeed}.`.padEnd(5);
+        const teamName = team.teamName.padEnd(24).substring(0, 24);
+        const cells = [team.playoffOdds, team.semisOdds, team.finalOdds, team.titleOdds, team.loserBracketOdds]
+          .map(value => pct(value).padStart(8));
+        lines.push(`${marker}${seed} ${teamName} ${cells.join('')}`);
+      });
+
+    if (likelyPaths.length > 0) {
+      lines.push('');
+      lines.push('YOUR MOST LIKELY PATH:');
+      likelyPaths.forEach((path, idx) => {
+        const route = path.missedPlayoffs ? 'Miss the playoffs' :
+          path.steps.map(step => step.bye ? `${step.round}: bye` :
+            `${step.round}: ${step.won ? 'beat' : 'lose to'} ${names.get(step.opponent) || 'Unknown'}`).join(' → ');
+        const seed = path.missedPlayoffs ? '' : `#${path.seed} seed - `;
+        lines.push(`  ${idx + 1}. ${seed}${route}${path.champion ? ' 🏆' : ''} (${pct(path.probability)})`);
+      });
+    }
+
+    return lines;
+  }
 }
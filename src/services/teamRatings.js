@@ -0,0 +1,152 @@
+import { getActiveSeason } from '../data/byeWeeks.js';
+import { getOpponent } from '../data/nflCalendar.js';
+import { ScoringEngine } from './scoring.js';
+
+export const RATED_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K'];
+
+// Each rating starts as this many league-average games, so a hot or cold week or two
+// early in the season doesn't swing it
+const PRIOR_GAMES = 3;
+
+/**
+ * NFL team ratings from the season's actual weekly stats: fantasy points each defense allows
+ * to every position, and each offense's fantasy scoring environment, against the league average
+ */
+export class TeamRatingsBuilder {
+  constructor(api, rosterService) {
+    this.api = api;
+    this.rosterService = rosterService;
+  }
+
+  /**
+   * Build ratings from every completed week, scored with the league's rules
+   * Returns { weeks, offense: { [team]: multiplier }, defense: { [team]: { QB, RB, WR, TE, K } } }
+   * with multipliers above 1 meaning more fantasy points than average
+   */
+  async buildRatings(leagueId) {
+    const currentWeek = await this.rosterService.getCurrentWeek();
+    const scoringSettings = await this.rosterService.getScoringSettings(leagueId).catch(() => ({}));
+    const engine = new ScoringEngine(scoringSettings);
+    const season = getActiveSeason();
+
+    const weeks = [];
+    for (let week = 1; week < currentWeek; week++) {
+      const lines = await this.api.getWeeklyStats(season, week).catch(() => []);
+      if (lines.length > 0) weeks.push({ week, lines });
+    }
+
+    return this.computeRatings(weeks, engine);
+  }
+
+  /**
+   * Fantasy points for one stat line: league rules, or Sleeper's half-PPR total without them
+   */
+  scoreLine(line, engine) {
+    if (engine.hasRules()) return engine.scoreStats(line.stats, line.position);
+    return line.stats.pts_half_ppr ?? 0;
+  }
+
+  /**
+   * Compute ratings from [{ week, lines: [{ team, opponent, position, stats }] }]
+   * The calendar's schedule decides who played whom, falling back to the stat line's opponent
+   */
+  computeRatings(weeks, engine) {
+    const allowed = {}; // defense -> position -> { points, games }
+    const scored = {};  // offense -> { points, games }
+
+    weeks.forEach(({ week, lines }) => {
+      const allowedThisWeek = {};
+      const scoredThisWeek = {};
+
+      lines.forEach(line => {
+        if (!RATED_POSITIONS.includes(line.position) || !line.team) return;
+        const opponent = getOpponent(line.team, week) || line.opponent;
+        if (!opponent) return;
+
+        const points = this.scoreLine(line, engine);
+        scoredThisWeek[line.team] = (scoredThisWeek[line.team] || 0) + points;
+        allowedThisWeek[opponent] = allowedThisWeek[opponent] || {};
+        allowedThisWeek[opponent][line.position] = (allowedThisWeek[opponent][line.position] || 0) + points;
+      });
+
+      Object.entries(scoredThisWeek).forEach(([team, points]) => {
+        scored[team] = scored[team] || { points: 0, games: 0 };
+        scored[team].points += points;
+        scored[team].games++;
+      });
+      Object.entries(allowedThisWeek).forEach(([team, byPosition]) => {
+        allowed[team] = allowed[team] || {};
+        RATED_POSITIONS.forEach(position => {
+          const total = allowed[team][position] || { points: 0, games: 0 };
+          total.points += byPosition[position] || 0;
+          total.games++;
+          allowed[team][position] = total;
+        });
+      });
+    });
+
+    const offenseAverage = leagueAverage(Object.values(scored));
+    const offense = {};
+    Object.entries(scored).forEach(([team, total]) => {
+      offense[team] = relativeRating(total, offenseAverage);
+    });
+
+    const defense = {};
+    RATED_POSITIONS.forEach(position => {
+      const average = leagueAverage(Object.values(allowed).map(byPosition => byPosition[position]));
+      Object.entries(allowed).forEach(([team, byPosition]) => {
+        defense[team] = defense[team] || {};
+        defense[team][position] = relativeRating(byPosition[position], average);
+      });
+    });
+
+    return { weeks: weeks.length, offense, defense };
+  }
+
+  /**
+   * Format the defense-vs-position table, toughest defenses first
+   */
+  formatRatings(ratings) {
+    const lines = [];
+    const teams = Object.keys(ratings.defense)
+      .map(team => ({
+        team,
+        ...ratings.defense[team],
+        overall: RATED_POSITIONS.reduce((sum, position) => sum + ratings.defense[team][position], 0) / RATED_POSITIONS.length
+      }))
+      .sort((a, b) => a.overall - b.overall);
+    const pct = value => {
+      const change = Math.round((value - 1) * 100);
+      return `${change >= 0 ? '+' : ''}${change}%`;
+    };
+
+    lines.push(`\n🛡️  DEFENSE VS POSITION (fantasy points allowed vs league average, ${ratings.weeks} week${ratings.weeks === 1 ? '' : 's'}):`);
+    lines.push(`${'Team'.padEnd(6)}${RATED_POSITIONS.map(position => position.padStart(7)).join('')}${'Offense'.padStart(9)}`);
+    lines.push('─'.repeat(6 + RATED_POSITIONS.length * 7 + 9));
+    teams.forEach(team => {
+      const offense = ratings.offense[team.team];
+      lines.push(`${team.team.padEnd(6)}${RATED_POSITIONS.map(position => pct(team[position]).padStart(7)).join('')}${(offense ? pct(offense) : '-').padStart(9)}`);
+    });
+    lines.push('Negative: the defense allows fewer points than average (a tougher matchup). Offense: the team\'s own fantasy scoring.');
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * League-wide points per game across [{ points, games }]
+ */
+function leagueAverage(totals) {
+  const played = totals.filter(total => total && total.games > 0);
+  const games = played.reduce((sum, total) => sum + total.games, 0);
+  return games > 0 ? played.reduce((sum, total) => sum + total.points, 0) / games : 0;
+}
+
+/**
+ * Points per game against the league average, shrunk toward average for small samples
+ */
+function relativeRating(total, average) {
+  if (!total || total.games === 0 || average <= 0) return 1.0;
+  const ratio = (total.points / total.games) / average;
+  return (ratio * total.games + PRIOR_GAMES) / (total.games + PRIOR_GAMES);
+}
@@ -0,0 +1,256 @@
+/**
+ * Standings order - win percentage, then the league's tiebreakers - shared by the
+ * live standings table and the season simulation
+ */
+
+export const TIEBREAKERS = {
+  h2h: 'head-to-head',
+  points_for: 'points for',
+  points_against: 'points against',
+  division: 'division record',
+  coin_flip: 'coin flip'
+};
+
+// Short names accepted on the command line
+const TIEBREAKER_ALIASES = {
+  head_to_head: 'h2h',
+  pf: 'points_for',
+  pa: 'points_against',
+  div: 'division',
+  coin: 'coin_flip'
+};
+
+// ESPN scheduleSettings.playoffSeedingRule
+const ESPN_SEEDING_RULES = {
+  TOTAL_POINTS_SCORED: ['points_for', 'h2h'],
+  H2H_RECORD: ['h2h', 'points_for'],
+  INTRA_DIVISION_RECORD: ['division', 'h2h', 'points_for'],
+  TOTAL_POINTS_AGAINST: ['points_against', 'points_for']
+};
+
+const DIVISION_FIELDS = { wins: 'divisionWins', losses: 'divisionLosses', ties: 'divisionTies' };
+const MEDIAN_FIELDS = { wins: 'medianWins', losses: 'medianLosses', ties: 'medianTies' };
+
+// Sleeper breaks ties on points for
+const DEFAULT_TIEBREAKERS = ['points_for'];
+
+/**
+ * Parse a comma-separated tiebreaker list (e.g. "h2h,pf,coin")
+ */
+export function parseTiebreakers(value) {
+  return value.split(',').map(name => {
+    const key = name.trim().toLowerCase().replace(/-/g, '_');
+    const rule = TIEBREAKER_ALIASES[key] || key;
+    if (!TIEBREAKERS[rule]) {
+      throw new Error(`Unknown tiebreaker '${name.trim()}' (expected ${[...Object.keys(TIEBREAKERS), ...Object.keys(TIEBREAKER_ALIASES)].join(', ')})`);
+    }
+    return rule;
+  });
+}
+
+/**
+ * Tiebreakers for a league - an explicit list wins over the league's settings
+ * A coin flip always settles whatever is left
+ */
+export function getTiebreakers(league, override = null) {
+  const rules = override || ESPN_SEEDING_RULES[league.settings?.playoff_seed_rule] || DEFAULT_TIEBREAKERS;
+  return rules.includes('coin_flip') ? rules : [...rules, 'coin_flip'];
+}
+
+/**
+ * Whether a league plays every team against the weekly median as well (Sleeper league_average_match)
+ * ESPN's league settings don't expose median scoring, so ESPN leagues rely on the override
+ */
+export function usesMedianScoring(league, override = undefined) {
+  if (override !== undefined && override !== null) return override;
+  return league.settings?.league_average_match === 1;
+}
+
+/**
+ * Empty season record for a team
+ */
+export function createRecord(rosterId, ownerId, division = null) {
+  return {
+    rosterId,
+    ownerId,
+    division,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    pointsFor: 0,
+    pointsAgainst: 0,
+    divisionWins: 0,
+    divisionLosses: 0,
+    divisionTies: 0,
+    medianWins: 0,
+    medianLosses: 0,
+    medianTies: 0,
+    h2h: {} // opponent rosterId -> { wins, losses, ties }
+  };
+}
+
+/**
+ * Copy a record so a simulation can add games without touching the original
+ */
+export function cloneRecord(record) {
+  const h2h = {};
+  Object.entries(record.h2h).forEach(([opponent, result]) => {
+    h2h[opponent] = { ...result };
+  });
+  return { ...record, h2h };
+}
+
+/**
+ * Add one game to both teams' records
+ */
+export function addGameResult(record1, record2, points1, points2) {
+  const sameDivision = record1.division !== null && record1.division === record2.division;
+  const result = points1 > points2 ? 'wins' : points2 > points1 ? 'losses' : 'ties';
+  const opposite = { wins: 'losses', losses: 'wins', ties: 'ties' }[result];
+
+  [[record1, record2, result, points1, points2], [record2, record1, opposite, points2, points1]].forEach(
+    ([record, opponent, outcome, scored, allowed]) => {
+      record[outcome]++;
+      record.pointsFor += scored;
+      record.pointsAgainst += allowed;
+
+      const h2h = record.h2h[opponent.rosterId] = record.h2h[opponent.rosterId] || { wins: 0, losses: 0, ties: 0 };
+      h2h[outcome]++;
+
+      if (sameDivision) {
+        record[DIVISION_FIELDS[outcome]]++;
+      }
+    }
+  );
+}
+
+/**
+ * Score a week against the league median: every team above it gets a win, every team below a loss
+ * scores: [{ record, points }] for all teams that played that week
+ */
+export function addMedianResults(scores) {
+  if (scores.length < 2) return;
+
+  const sorted = scores.map(s => s.points).sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+
+  scores.forEach(({ record, points }) => {
+    const outcome = points > median ? 'wins' : points < median ? 'losses' : 'ties';
+    record[outcome]++;
+    record[MEDIAN_FIELDS[outcome]]++;
+  });
+}
+
+/**
+ * Win percentage with ties as half a win (0 before any games)
+ */
+export function winPct(wins, losses, ties) {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties * 0.5) / games : 0;
+}
+
+/**
+ * Value a team holds under one tiebreaker (higher is better) within a tied group
+ * Teams without head-to-head or division games sit at .500
+ */
+function tiebreakValue(rule, record, group, coin) {
+  switch (rule) {
+    case 'h2h': {
+      const games = group.filter(other => other !== record).map(other => record.h2h[other.rosterId]).filter(Boolean);
+      const total = games.reduce((sum, g) => ({
+        wins: sum.wins + g.wins,
+        losses: sum.losses + g.losses,
+        ties: sum.ties + g.ties
+      }), { wins: 0, losses: 0, ties: 0 });
+      return total.wins + total.losses + total.ties > 0 ? winPct(total.wins, total.losses, total.ties) : 0.5;
+    }
+    case 'points_for':
+      return record.pointsFor;
+    case 'points_against':
+      // The unluckier team - more points scored against it - wins the tie
+      return record.pointsAgainst;
+    case 'division':
+      return record.divisionWins + record.divisionLosses + record.divisionTies > 0 ?
+        winPct(record.divisionWins, record.divisionLosses, record.divisionTies) : 0.5;
+    case 'coin_flip':
+      // Without a flip (the live table), the lower roster ID wins so the order is stable
+      return coin ? coin.get(record.rosterId) : -record.rosterId;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Order a tied group by the tiebreakers
+ * A rule that splits the group re-applies the full list to each smaller tie, so head-to-head
+ * is recomputed among just the teams still tied
+ */
+function breakTies(group, rules, coin) {
+  if (group.length <= 1 || rules.length === 0) return group;
+
+  const [rule, ...rest] = rules;
+  const valued = group
+    .map(record => ({ record, value: tiebreakValue(rule, record, group, coin) }))
+    .sort((a, b) => b.value - a.value);
+
+  const ordered = [];
+  let idx = 0;
+  while (idx < valued.length) {
+    let end = idx + 1;
+    while (end < valued.length && valued[end].value === valued[idx].value) end++;
+    const tied = valued.slice(idx, end).map(v => v.record);
+    ordered.push(...(tied.length === group.length ? breakTies(tied, rest, coin) : breakTies(tied, rules, coin)));
+    idx = end;
+  }
+  return ordered;
+}
+
+/**
+ * Rank records by win percentage, breaking ties with the given rules
+ * coin: rosterId -> random draw for coin flips (omit for a stable order)
+ */
+export function rankRecords(records, rules, coin = null) {
+  const byPct = new Map();
+  records.forEach(record => {
+    const pct = winPct(record.wins, record.losses, record.ties);
+    if (!byPct.has(pct)) byPct.set(pct, []);
+    byPct.get(pct).push(record);
+  });
+
+  return [...byPct.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .flatMap(([, group]) => breakTies(group, rules, coin));
+}
+
+/**
+ * Seed the standings: each division winner is guaranteed a playoff spot, the remaining spots
+ * go to the best records, and everyone keeps their overall order within the seeds
+ * Returns ranked records with divisionWinner set
+ */
+export function seedStandings(records, rules, playoffTeams, coin = null) {
+  const ranked = rankRecords(records, rules, coin);
+  const divisions = new Map();
+  ranked.forEach(record => {
+    if (record.division === null || record.division === undefined) return;
+    if (!divisions.has(record.division)) divisions.set(record.division, []);
+    divisions.get(record.division).push(record);
+  });
+
+  if (divisions.size < 2) {
+    return ranked.map(record => ({ ...record, divisionWinner: false }));
+  }
+
+  // Division order adds the division record rule up front
+  const divisionRules = rules.includes('division') ? rules : ['division', ...rules];
+  const winners = new Set([...divisions.values()].map(members => rankRecords(members, divisionRules, coin)[0]));
+
+  const guaranteed = ranked.filter(record => winners.has(record)).slice(0, playoffTeams);
+  const wildcards = ranked.filter(record => !winners.has(record)).slice(0, Math.max(0, playoffTeams - guaranteed.length));
+  const inPlayoffs = new Set([...guaranteed, ...wildcards]);
+
+  return [
+    ...ranked.filter(record => inPlayoffs.has(record)),
+    ...ranked.filter(record => !inPlayoffs.has(record))
+  ].map(record => ({ ...record, divisionWinner: winners.has(record) }));
+}
@@ -1,5 +1,8 @@
-import { POSITION_SCARCITY, getBasePoints } from '../data/scoringConstants.js';
-import { ELITE_OFFENSES, WEAK_OFFENSES, TEAM_MULTIPLIERS } from '../data/teamRankings.js';
+import { POSITION_SCARCITY } from '../data/scoringConstants.js';
+import { isOnBye } from '../data/byeWeeks.js';
+import { getTeamMultiplier } from '../data/teamRankings.js';
+import { ScoringEngine } from './scoring.js';
+import { formatSchedule, getPlayerSchedule, getScheduleWindow } from './scheduleStrength.js';
 
 /**
  * Analyze trade opportunities by matching team needs
@@ -7,6 +10,21 @@ import { ELITE_OFFENSES, WEAK_OFFENSES, TEAM_MULTIPLIERS } from '../data/teamRan
 export class TradeAnalyzer {
   constructor(rosterService) {
     this.rosterService = rosterService;
+    this.leagueId = null; // League the state below was built for, set by init()
+    this.scoringEngine = new ScoringEngine();
+    this.scheduleWindow = null; // Remaining fantasy weeks
+  }
+
+  /**
+   * Load a league's scoring rules and remaining fantasy weeks
+   * Runs before any player is valued, so every estimate uses the same league state
+   */
+  async init(leagueId) {
+    const league = await this.rosterService.api.getLeague(leagueId);
+    const rosters = await this.rosterService.api.getLeagueRosters(leagueId);
+    this.scoringEngine = new ScoringEngine(await this.rosterService.getScoringSettings(leagueId));
+    this.scheduleWindow = getScheduleWindow(league, rosters.length, await this.rosterService.getCurrentWeek());
+    this.leagueId = leagueId;
   }
 
   /**
@@ -83,16 +101,28 @@ export class TradeAnalyzer {
     if (player.onBye) value *= 0.95;
 
     // Team quality bonus/penalty
-    if (ELITE_OFFENSES.includes(player.team)) value *= TEAM_MULTIPLIERS.ELITE;
-    if (WEAK_OFFENSES.includes(player.team)) value *= TEAM_MULTIPLIERS.WEAK;
+    value *= getTeamMultiplier(player.team);
+
+    // Remaining opponents, weighted toward the fantasy playoffs
+    const schedule = this.getSchedule(player);
+    if (schedule) value *= schedule.rating;
 
     return Math.round(value);
   }
 
+  /**
+   * A player's remaining NFL strength of schedule (null before init() or without a schedule)
+   */
+  getSchedule(player) {
+    return getPlayerSchedule(player.team, player.position, this.scheduleWindow);
+  }
+
   /**
    * Find trade matches between your team and other teams
    */
   async findTradeMatches(yourRoster, leagueId, yourUserId) {
+    if (this.leagueId !== leagueId) await this.init(leagueId);
+
     // Get all league rosters and users
     const allRosters = await this.rosterService.api.getLeagueRosters(leagueId);
     const allUsers = await this.rosterService.api.getLeagueUsers(leagueId);
@@ -255,7 +285,7 @@ export class TradeAnalyzer {
             yourNeeds.positionDepth,
             yourRoster.starters.some(s => s.playerId === p.playerId)
           ),
-          restOfSeasonPoints: this.estimateRestOfSeasonPoints(p, 8) // ~8 weeks left
+          restOfSeasonPoints: this.estimateRestOfSeasonPoints(p)
         }))
         .sort((a, b) => b.tradeValue - a.tradeValue);
 
@@ -300,7 +330,7 @@ export class TradeAnalyzer {
               theirNeeds.positionDepth,
               theirRoster.starters.some(s => s.playerId === p.playerId)
             ),
-            restOfSeasonPoints: this.estimateRestOfSeasonPoints(p, 8)
+            restOfSeasonPoints: this.estimateRestOfSeasonPoints(p)
           }))
           .sort((a, b) => b.tradeValue - a.tradeValue);
 
@@ -374,26 +404,49 @@ export class TradeAnalyzer {
   /**
    * Estimate rest of season points for a player
    */
-  estimateRestOfSeasonPoints(player, weeksRemaining = 8) {
-    // Base weekly points by position
-    let weeklyPoints = getBasePoints(player.position);
+  estimateRestOfSeasonPoints(player) {
+    // Base weekly points by position under the league's scoring rules
+    let weeklyPoints = this.scoringEngine.baselinePoints(player.position);
 
     // Apply position scarcity multiplier
     weeklyPoints *= (POSITION_SCARCITY[player.position] || 1.0);
 
     // Team quality
-    if (ELITE_OFFENSES.includes(player.team)) weeklyPoints *= TEAM_MULTIPLIERS.ELITE;
-    if (WEAK_OFFENSES.includes(player.team)) weeklyPoints *= TEAM_MULTIPLIERS.WEAK;
+    weeklyPoints *= getTeamMultiplier(player.team);
 
     // Injury penalty
     if (player.injuryStatus === 'Out') weeklyPoints *= 0.3;
     if (player.injuryStatus === 'Doubtful') weeklyPoints *= 0.5;
     if (player.injuryStatus === 'Questionable') weeklyPoints *= 0.9;
 
-    // Account for potential bye week in remaining weeks
-    const byeWeekAdjustment = (weeksRemaining - 1) / weeksRemaining;
+    // Remaining opponents, weighted toward the fantasy playoffs
+    const schedule = this.getSchedule(player);
+    if (schedule) weeklyPoints *= schedule.rating;
 
-    return Math.round(weeklyPoints * weeksRemaining * byeWeekAdjustment);
+    return Math.round(weeklyPoints * this.countRemainingGames(player));
+  }
+
+  /**
+   * Games a player has left through the fantasy championship, byes excluded
+   */
+  countRemainingGames(player) {
+    if (!this.scheduleWindow) {
+      throw new Error('TradeAnalyzer.init() must run before counting remaining games');
+    }
+
+    let games = 0;
+    for (let week = this.scheduleWindow.fromWeek; week <= this.scheduleWindow.lastWeek; week++) {
+      if (!isOnBye(player.team, week)) games++;
+    }
+    return games;
+  }
+
+  /**
+   * Remaining schedule suffix for a player's value line
+   */
+  formatPlayerSchedule(player) {
+    const schedule = formatSchedule(this.getSchedule(player));
+    return schedule ? ` | ${schedule}` : '';
   }
 
   /**
@@ -429,14 +482,14 @@ export class TradeAnalyzer {
           lines.push('  📤 You Give:');
           proposal.youGive.forEach(p => {
             lines.push(`     - ${p.name} (${p.position}) ${p.team}`);
-            lines.push(`       Value: ${p.tradeValue} | ROS Points: ${p.restOfSeasonPoints}`);
+            lines.push(`       Value: ${p.tradeValue} | ROS Points: ${p.restOfSeasonPoints}${this.formatPlayerSchedule(p)}`);
           });
 
           // What you get
           lines.push('  📥 You Get:');
           proposal.youGet.forEach(p => {
             lines.push(`     - ${p.name} (${p.position}) ${p.team}`);
-            lines.push(`       Value: ${p.tradeValue} | ROS Points: ${p.restOfSeasonPoints}`);
+            lines.push(`       Value: ${p.tradeValue} | ROS Points: ${p.restOfSeasonPoints}${this.formatPlayerSchedule(p)}`);
           });
 
           // Trade evaluation
@@ -1,5 +1,9 @@
 import { POSITION_VALUE, isPlayerLikelyOut } from '../data/scoringConstants.js';
-import { ELITE_OFFENSES } from '../data/teamRankings.js';
+import { isEliteOffense } from '../data/teamRankings.js';
+import { isStartingSlot } from '../data/rosterSlots.js';
+import { getPlayerSchedule, getScheduleWindow } from './scheduleStrength.js';
+
+const SCHEDULE_SCORE_SCALE = 50; // A schedule 10% easier than average is worth 5 points
 
 /**
  * Waiver wire analysis and recommendations
@@ -12,8 +16,9 @@ export class WaiverAnalyzer {
 
   /**
    * Score a player's waiver value (0-100)
+   * schedule: remaining NFL strength of schedule from getPlayerSchedule()
    */
-  scorePlayer(player, trending = false) {
+  scorePlayer(player, trending = false, schedule = null) {
     if (!player || typeof player !== 'object') {
       return 0;
     }
@@ -43,14 +48,51 @@ export class WaiverAnalyzer {
       score += 20;
     }
 
+    // League ownership (ESPN pool) - widely rostered players are proven contributors
+    if (player.percentOwned !== null && player.percentOwned !== undefined) {
+      score += Math.round(player.percentOwned / 10);
+    }
+
     // Team matters (players on good teams score more)
-    if (ELITE_OFFENSES.includes(player.team)) {
+    if (isEliteOffense(player.team)) {
       score += 5;
     }
 
+    // Remaining opponents, weighted toward the fantasy playoffs
+    if (schedule) {
+      score += Math.round((schedule.rating - 1) * SCHEDULE_SCORE_SCALE);
+    }
+
     return Math.max(0, Math.min(100, score));
   }
 
+  /**
+   * Remaining fantasy weeks for strength of schedule (null if the league can't be read)
+   */
+  async getScheduleWindow(leagueId) {
+    try {
+      const league = await this.api.getLeague(leagueId);
+      const rosters = await this.api.getLeagueRosters(leagueId);
+      return getScheduleWindow(league, rosters.length, await this.rosterService.getCurrentWeek());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Attach waiver score, trending flag and remaining schedule to an available player
+   */
+  scoreAvailable(player, trendingIds, window) {
+    const trending = trendingIds.has(player.playerId);
+    const schedule = getPlayerSchedule(player.team, player.position, window);
+    return {
+      ...player,
+      waiverScore: this.scorePlayer(player, trending, schedule),
+      trending,
+      schedule
+    };
+  }
+
   /**
    * Find best available players at each position
    */
@@ -58,17 +100,14 @@ export class WaiverAnalyzer {
     const positions = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
     const trending = await this.api.getTrendingPlayers('add', 24);
     const trendingIds = new Set(trending.map(t => t.player_id));
+    const window = await this.getScheduleWindow(leagueId);
 
     const recommendations = {};
 
     for (const position of positions) {
       const available = await this.rosterService.getAvailablePlayers(leagueId, position);
 
-      const scored = available.map(player => ({
-        ...player,
-        waiverScore: this.scorePlayer(player, trendingIds.has(player.playerId)),
-        trending: trendingIds.has(player.playerId)
-      }));
+      const scored = available.map(player => this.scoreAvailable(player, trendingIds, window));
 
       scored.sort((a, b) => b.waiverScore - a.waiverScore);
       recommendations[position] = scored.slice(0, limit);
@@ -95,7 +134,7 @@ export class WaiverAnalyzer {
     // Count required starters by position
     const requiredStarters = {};
     rosterPositions.forEach(pos => {
-      if (pos !== 'BN' && !pos.includes('FLEX')) {
+      if (isStartingSlot(pos) && !pos.includes('FLEX')) {
         requiredStarters[pos] = (requiredStarters[pos] || 0) + 1;
       }
     });
@@ -117,17 +156,14 @@ export class WaiverAnalyzer {
     // Get trending data once (performance optimization - avoid repeated API calls)
     const trending = await this.api.getTrendingPlayers('add', 24).catch(() => []);
     const trendingIds = new Set(trending.map(t => t.player_id));
+    const window = await this.getScheduleWindow(leagueId);
 
     // Get top available for weak positions
     const targetedPickups = {};
     for (const weakness of weakPositions) {
       const available = await this.rosterService.getAvailablePlayers(leagueId, weakness.position);
 
-      const scored = available.map(player => ({
-        ...player,
-        waiverScore: this.scorePlayer(player, trendingIds.has(player.playerId)),
-        trending: trendingIds.has(player.playerId)
-      }));
+      const scored = available.map(player => this.scoreAvailable(player, trendingIds, window));
 
       scored.sort((a, b) => b.waiverScore - a.waiverScore);
       targetedPickups[weakness.position] = scored.slice(0, 5);
@@ -0,0 +1,40 @@
+/**
+ * Head-to-head win probability under a normal approximation
+ * Player scores are treated as independent, so lineup variance is the sum of player variances
+ */
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Mean and standard deviation of a lineup's total points
+ * players: [{ projection, stdDev }]
+ */
+export function lineupDistribution(players) {
+  let mean = 0;
+  let variance = 0;
+  players.forEach(player => {
+    mean += player.projection || 0;
+    variance += (player.stdDev || 0) ** 2;
+  });
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Probability that a lineup outscores an opponent
+ * Both arguments are { mean, stdDev }
+ */
+export function winProbability(lineup, opponent) {
+  const stdDev = Math.sqrt(lineup.stdDev ** 2 + opponent.stdDev ** 2);
+  if (stdDev === 0) {
+    return lineup.mean > opponent.mean ? 1 : lineup.mean < opponent.mean ? 0 : 0.5;
+  }
+  return normalCdf((lineup.mean - opponent.mean) / stdDev);
+}